@@ -59,16 +59,35 @@ module.exports = function(grunt) {
 
     // Define tasks specific to this project here
 
+    jshint: {
+      // The UMD wrapper checks for an AMD `define` and a CommonJS `module`.
+      src: {
+        options: {
+          predef: ['define', 'module']
+        }
+      }
+    },
+
     concat: {
       bodyScripts: {
         src: [
           'src/vendor/jquery/jquery.js',
-          'src/vendor/jquery.easing/jquery.easing.js',
           'src/vendor/cf-*/*.js',
           'src/*.js',
           'src/js/*.js'
         ],
         dest: 'demo/static/js/component.js',
+      },
+      // The UMD source exports through `module.exports` when it exists.
+      // The local `define` hides an AMD loader on the page, which the UMD
+      // source would otherwise use instead.
+      esm: {
+        options: {
+          banner: 'var define;\nvar module = { exports: {} };\n',
+          footer: '\nexport default module.exports;\n'
+        },
+        src: ['src/js/cf-expandables.js'],
+        dest: 'dist/cf-expandables.esm.js'
       }
     }
 
@@ -115,6 +134,6 @@ module.exports = function(grunt) {
    */
   grunt.registerTask('test', ['jshint', 'connect', 'qunit']);
   grunt.registerTask('vendor', ['copy:component_assets', 'copy:docs_assets', 'concat:bodyScripts']);
-  grunt.registerTask('default', ['concat:bodyScripts', 'less', 'autoprefixer', 'uglify', 'test', 'copy:docs', 'topdoc']);
+  grunt.registerTask('default', ['concat:bodyScripts', 'concat:esm', 'less', 'autoprefixer', 'uglify', 'test', 'copy:docs', 'topdoc']);
 
 };
@@ -225,7 +225,6 @@ module.exports = function(grunt) {
 
 };
 
-
 /**
  * cf-expandables
  * https://github.com/cfpb/cf-expandables
@@ -233,9 +232,66 @@ module.exports = function(grunt) {
  * A public domain work of the Consumer Financial Protection Bureau
  */
 
-( function( $ ) {
+( function( root, factory ) {
+  'use strict';
+  if ( typeof define === 'function' && define.amd ) {
+    define( [], function() {
+      return factory( root );
+    } );
+  } else if ( typeof module === 'object' && module.exports ) {
+    module.exports = factory( root );
+  } else {
+    root.Expandable = factory( root );
+  }
+} )( typeof window === 'undefined' ? this : window, function( window ) {
   'use strict';
-  var _extend = $.extend;
+  window = window || {};
+  var document = window.document;
+  var _uid = 0;
+
+  // Incremented every time an Expandable expands, to order accordion items.
+  var _expandCount = 0;
+
+  // jQuery, once the plugin is registered, for its Deferred.
+  var _jQuery = null;
+
+  // Key codes used for keyboard navigation.
+  var KEY_CODES = {
+    ENTER: 13,
+    SPACE: 32,
+    END:   35,
+    HOME:  36,
+    UP:    38,
+    DOWN:  40
+  };
+
+  // Style properties animated when the content slides.
+  var SLIDE_PROPERTIES = [
+    'height',
+    'paddingTop',
+    'paddingBottom',
+    'marginTop',
+    'marginBottom'
+  ];
+
+  /**
+   * Copies the own properties of the sources onto the target.
+   *
+   * @param {object} target - The object to extend.
+   * @returns {object} - The target.
+   */
+  function _extend( target ) {
+    var source;
+    for ( var i = 1, len = arguments.length; i < len; i++ ) {
+      source = arguments[i];
+      for ( var key in source ) {
+        if ( source.hasOwnProperty( key ) ) {
+          target[key] = source[key];
+        }
+      }
+    }
+    return target;
+  }
 
   /**
    * Returns function with throttled callback.
@@ -260,168 +316,2692 @@ module.exports = function(grunt) {
     };
   }
 
-  var Expandable = {
-    defaultProperties: {
-      isInAccordion:    false,
-      expandedClass:    'expandable__expanded',
-      throttleDuration: 450
-    },
+  /**
+   * Calls every function of a list.
+   *
+   * @param {Array} callbacks - The functions.
+   */
+  function _callAll( callbacks ) {
+    for ( var i = 0, len = callbacks.length; i < len; i++ ) {
+      callbacks[i]();
+    }
+  }
 
-    // Elements that will be cached.
-    ui: {
-      content: '.expandable_content',
-      target:  '.expandable_target'
+  /**
+   * Returns whether an element matches a selector.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} selector - The CSS selector.
+   * @returns {boolean} - True if the element matches.
+   */
+  function _matches( element, selector ) {
+    var matches = element.matches ||
+                  element.msMatchesSelector ||
+                  element.webkitMatchesSelector;
+    return matches.call( element, selector );
+  }
+
+  /**
+   * Returns the closest element matching a selector, starting with
+   * the element itself and stopping before the root element.
+   *
+   * @param {object} element - The dom element to start from.
+   * @param {string} selector - The CSS selector.
+   * @param {object} rootElement - The dom element to stop at, if any.
+   * @returns {object} - The matching dom element, or null.
+   */
+  function _closest( element, selector, rootElement ) {
+    while ( element && element.nodeType === 1 && element !== rootElement ) {
+      if ( _matches( element, selector ) ) {
+        return element;
+      }
+      element = element.parentNode;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the elements matching a selector in a container,
+   * including the container itself.
+   *
+   * @param {object} container - The dom element or document.
+   * @param {string} selector - The CSS selector.
+   * @returns {Array} - The matching dom elements, in document order.
+   */
+  function _findAll( container, selector ) {
+    var elements = [];
+    var descendants = container.querySelectorAll( selector );
+
+    if ( container.nodeType === 1 && _matches( container, selector ) ) {
+      elements.push( container );
+    }
+    for ( var i = 0, len = descendants.length; i < len; i++ ) {
+      elements.push( descendants[i] );
+    }
+    return elements;
+  }
+
+  /**
+   * Returns the text nodes of an element, leaving out those in the
+   * descendants matching a selector.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} ignoreSelector - The CSS selector, if any.
+   * @returns {Array} - The text nodes, in document order.
+   */
+  function _getTextNodes( element, ignoreSelector ) {
+    // 4 is NodeFilter.SHOW_TEXT.
+    var walker = document.createTreeWalker( element, 4, null, false );
+    var nodes = [];
+
+    while ( walker.nextNode() ) {
+      if ( !ignoreSelector ||
+           !_closest( walker.currentNode.parentNode, ignoreSelector,
+                      element ) ) {
+        nodes.push( walker.currentNode );
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Returns the text of an element, leaving out the descendants matching
+   * a selector.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} ignoreSelector - The CSS selector, if any.
+   * @returns {string} - The text.
+   */
+  function _getText( element, ignoreSelector ) {
+    var nodes = _getTextNodes( element, ignoreSelector );
+    var text = '';
+
+    for ( var i = 0; i < nodes.length; i++ ) {
+      text += nodes[i].data;
+    }
+    return text;
+  }
+
+  /**
+   * Wraps the occurrences of a text in the text nodes of an element
+   * in `mark` elements.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} text - The lowercase text to highlight.
+   * @param {string} className - The class of the `mark` elements.
+   * @param {string} ignoreSelector -
+   *   The CSS selector of descendants to leave alone, if any.
+   */
+  function _highlight( element, text, className, ignoreSelector ) {
+    var nodes = _getTextNodes( element, ignoreSelector );
+    var node;
+    var match;
+    var mark;
+    var index;
+
+    for ( var i = 0; i < nodes.length; i++ ) {
+      node = nodes[i];
+      index = node.data.toLowerCase().indexOf( text );
+      while ( index !== -1 ) {
+        match = node.splitText( index );
+        node = match.splitText( text.length );
+        mark = document.createElement( 'mark' );
+        mark.className = className;
+        match.parentNode.replaceChild( mark, match );
+        mark.appendChild( match );
+        index = node.data.toLowerCase().indexOf( text );
+      }
+    }
+  }
+
+  /**
+   * Removes the `mark` elements added by `_highlight`.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} className - The class of the `mark` elements.
+   */
+  function _removeHighlights( element, className ) {
+    var marks = element.querySelectorAll( 'mark.' + className );
+    var parent;
+
+    for ( var i = 0, len = marks.length; i < len; i++ ) {
+      parent = marks[i].parentNode;
+      while ( marks[i].firstChild ) {
+        parent.insertBefore( marks[i].firstChild, marks[i] );
+      }
+      parent.removeChild( marks[i] );
+      parent.normalize();
+    }
+  }
+
+  /**
+   * Returns whether a node is part of its document.
+   *
+   * @param {object} node - The dom node.
+   * @returns {boolean} - True if the node is in the document.
+   */
+  function _isAttached( node ) {
+    var root = node.ownerDocument && node.ownerDocument.documentElement;
+    return Boolean( root ) && ( root === node || root.contains( node ) );
+  }
+
+  /**
+   * Adds or removes a class, depending on a state.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} className - The class name.
+   * @param {boolean} state - Whether the class should be added.
+   */
+  function _toggleClass( element, className, state ) {
+    var classes = ( ' ' + element.className + ' ' )
+      .replace( ' ' + className + ' ', ' ' );
+    if ( state ) {
+      classes += className;
+    }
+    element.className = classes.replace( /^\s+|\s+$/g, '' );
+  }
+
+  /**
+   * Returns whether an element has a class.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} className - The class name.
+   * @returns {boolean} - True if the element has the class.
+   */
+  function _hasClass( element, className ) {
+    return ( ' ' + element.className + ' ' )
+      .indexOf( ' ' + className + ' ' ) !== -1;
+  }
+
+  /**
+   * Returns the value of a data attribute, converted like jQuery's
+   * `.data()` does: 'true', 'false', 'null' and numbers are parsed.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} name - The attribute name without `data-`.
+   * @returns {*} - The value, or undefined if the attribute is missing.
+   */
+  function _getData( element, name ) {
+    var value = element ? element.getAttribute( 'data-' + name ) : null;
+    if ( value === null ) {
+      return undefined;
+    }
+    if ( value === 'true' || value === 'false' || value === 'null' ) {
+      return JSON.parse( value );
+    }
+    return value !== '' && !isNaN( value ) ? Number( value ) : value;
+  }
+
+  /**
+   * Returns the id of an element, generating a unique one if it has none.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} suffix - Suffix used when generating the id.
+   * @returns {string} - The id of the element.
+   */
+  function _ensureId( element, suffix ) {
+    if ( !element.id ) {
+      element.id = 'expandable-' + ( ++_uid ) + '_' + suffix;
+    }
+    return element.id;
+  }
+
+  /**
+   * Returns the values of the given attributes of an element.
+   *
+   * @param {object} element - The dom element.
+   * @param {Array} names - The attribute names.
+   * @returns {object} - Map of attribute names to values,
+   *   null for missing attributes.
+   */
+  function _getAttributes( element, names ) {
+    var attributes = {};
+    for ( var i = 0, len = names.length; i < len; i++ ) {
+      attributes[names[i]] = element.getAttribute( names[i] );
+    }
+    return attributes;
+  }
+
+  /**
+   * Restores attributes saved with `_getAttributes`,
+   * removing the ones that were missing.
+   *
+   * @param {object} element - The dom element.
+   * @param {object} attributes - Map of attribute names to values.
+   */
+  function _restoreAttributes( element, attributes ) {
+    for ( var name in attributes ) {
+      if ( attributes.hasOwnProperty( name ) ) {
+        if ( attributes[name] === null ) {
+          element.removeAttribute( name );
+        } else {
+          element.setAttribute( name, attributes[name] );
+        }
+      }
+    }
+  }
+
+  /**
+   * Creates a bubbling, cancelable custom event.
+   *
+   * @param {string} type - The event type.
+   * @param {object} detail - The event detail.
+   * @returns {object} - The event.
+   */
+  function _createEvent( type, detail ) {
+    var event;
+    if ( typeof window.CustomEvent === 'function' ) {
+      event = new window.CustomEvent( type, {
+        bubbles:    true,
+        cancelable: true,
+        detail:     detail
+      } );
+    } else {
+      event = document.createEvent( 'CustomEvent' );
+      event.initCustomEvent( type, true, true, detail );
+    }
+    return event;
+  }
+
+  /**
+   * Creates a promise along with the functions settling it: a native
+   * Promise, or a jQuery Deferred promise when Promise isn't supported.
+   * Without either, `promise` is undefined.
+   *
+   * @returns {object} - The `promise`, `resolve` and `reject`.
+   */
+  function _defer() {
+    var deferred = {
+      resolve: function() {},
+      reject:  function() {}
+    };
+    var $ = _jQuery || window.jQuery;
+    var jQueryDeferred;
+
+    if ( typeof window.Promise === 'function' ) {
+      deferred.promise = new window.Promise( function( resolve, reject ) {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      } );
+
+      // Ignored promises of interrupted or canceled animations
+      // aren't reported as unhandled rejections.
+      deferred.promise['catch']( function() {} );
+    } else if ( $ && $.Deferred ) {
+      jQueryDeferred = $.Deferred();
+      deferred.promise = jQueryDeferred.promise();
+      deferred.resolve = jQueryDeferred.resolve;
+      deferred.reject = jQueryDeferred.reject;
+    }
+    return deferred;
+  }
+
+  /**
+   * Returns a promise resolved with the values of all the promises,
+   * or rejected with the first rejection.
+   *
+   * @param {Array} promises - The promises.
+   * @returns {object} - The promise.
+   */
+  function _all( promises ) {
+    var deferred = _defer();
+    var values = [];
+    var remaining = promises.length;
+
+    function resolveAt( index ) {
+      return function( value ) {
+        values[index] = value;
+        remaining -= 1;
+        if ( remaining === 0 ) {
+          deferred.resolve( values );
+        }
+      };
+    }
+
+    if ( !deferred.promise || remaining === 0 ) {
+      deferred.resolve( values );
+    } else {
+      for ( var i = 0, len = promises.length; i < len; i++ ) {
+        promises[i].then( resolveAt( i ), deferred.reject );
+      }
+    }
+    return deferred.promise;
+  }
+
+  /**
+   * Returns the error rejecting the promise of an expand or a collapse.
+   *
+   * @param {string} type - 'canceled' or 'interrupted'.
+   * @param {string} action - 'expand' or 'collapse'.
+   * @returns {object} - The error, with a `type` property.
+   */
+  function _createError( type, action ) {
+    var error = new Error( 'The ' + action + ' was ' + type );
+    error.type = type;
+    return error;
+  }
+
+  /**
+   * Replaces the URL hash without adding a history entry or scrolling.
+   * Does nothing in browsers without `history.replaceState`.
+   *
+   * @param {string} id - The new hash, without `#`. Empty to remove it.
+   */
+  function _replaceHash( id ) {
+    var location = window.location;
+    if ( typeof id === 'undefined' ||
+         !( window.history && window.history.replaceState ) ) {
+      return;
+    }
+    window.history.replaceState( window.history.state, '',
+      id ? '#' + id : location.pathname + location.search );
+  }
+
+  /**
+   * Returns the element targeted by a URL hash.
+   *
+   * @param {string} hash - The hash, including `#`.
+   * @returns {object} - The dom element, or null.
+   */
+  function _getHashTarget( hash ) {
+    try {
+      return document.getElementById( decodeURIComponent( hash.slice( 1 ) ) );
+    } catch ( err ) {
+      return null;
+    }
+  }
+
+  /**
+   * Returns whether an element is hidden with `display: none`.
+   *
+   * @param {object} element - The dom element.
+   * @returns {boolean} - True if the element is hidden.
+   */
+  function _isHidden( element ) {
+    return element.hasAttribute( 'hidden' ) ||
+           window.getComputedStyle( element ).display === 'none';
+  }
+
+  /**
+   * Shows an element hidden with `display: none` or the hidden attribute.
+   *
+   * @param {object} element - The dom element.
+   */
+  function _show( element ) {
+    element.removeAttribute( 'hidden' );
+    element.style.display = '';
+    if ( _isHidden( element ) ) {
+      element.style.display = 'block';
+    }
+  }
+
+  /**
+   * Returns the height of an element, measuring it as if it were shown
+   * when it is hidden.
+   *
+   * @param {object} element - The dom element.
+   * @returns {integer} - The height in pixels.
+   */
+  function _getHeight( element ) {
+    var display = element.style.display;
+    var hidden = element.getAttribute( 'hidden' );
+    var height;
+
+    if ( !_isHidden( element ) ) {
+      return element.offsetHeight;
+    }
+    _show( element );
+    height = element.offsetHeight;
+    element.style.display = display;
+    if ( hidden !== null ) {
+      element.setAttribute( 'hidden', hidden );
+    }
+    return height;
+  }
+
+  /**
+   * Exponential ease-out, the default easing of the slide animations.
+   *
+   * @param {number} progress - The animation progress, from 0 to 1.
+   * @returns {number} - The eased progress.
+   */
+  function _easeOutExpo( progress ) {
+    return progress === 1 ? 1 : 1 - Math.pow( 2, -10 * progress );
+  }
+
+  /**
+   * Returns whether the user asked the OS to minimize animations.
+   * The media query is read on every call, so changes apply right away.
+   *
+   * @returns {boolean} - True if `prefers-reduced-motion` is set.
+   */
+  function _prefersReducedMotion() {
+    return Boolean( window.matchMedia &&
+      window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches );
+  }
+
+  /**
+   * Adds an event listener. Listeners are added through jQuery once the
+   * plugin is registered, so that `$( element ).trigger( type )` reaches
+   * them even for events without a native method, or on links.
+   *
+   * @param {object} $ - jQuery, or null to add a native listener.
+   * @param {object} element - The dom element.
+   * @param {string} type - The event type.
+   * @param {Function} listener - The function to call.
+   */
+  function _addListener( $, element, type, listener ) {
+    if ( $ ) {
+      $( element ).on( type, listener );
+    } else {
+      element.addEventListener( type, listener );
+    }
+  }
+
+  /**
+   * Removes a listener added with `_addListener`.
+   *
+   * @param {object} $ - jQuery, if the listener was added through it.
+   * @param {object} element - The dom element.
+   * @param {string} type - The event type.
+   * @param {Function} listener - The function to remove.
+   */
+  function _removeListener( $, element, type, listener ) {
+    if ( $ ) {
+      $( element ).off( type, listener );
+    } else {
+      element.removeEventListener( type, listener );
+    }
+  }
+
+  /**
+   * Calls a function when a media query starts or stops matching.
+   *
+   * @param {object} mediaQuery - The MediaQueryList.
+   * @param {Function} listener - The function to call.
+   */
+  function _addMediaListener( mediaQuery, listener ) {
+    if ( mediaQuery.addEventListener ) {
+      mediaQuery.addEventListener( 'change', listener );
+    } else {
+      mediaQuery.addListener( listener );
+    }
+  }
+
+  /**
+   * Removes a listener added with `_addMediaListener`.
+   *
+   * @param {object} mediaQuery - The MediaQueryList.
+   * @param {Function} listener - The function to remove.
+   */
+  function _removeMediaListener( mediaQuery, listener ) {
+    if ( mediaQuery.removeEventListener ) {
+      mediaQuery.removeEventListener( 'change', listener );
+    } else {
+      mediaQuery.removeListener( listener );
+    }
+  }
+
+  /**
+   * Returns whether the browser supports `hidden="until-found"`, which
+   * lets find-in-page search hidden content.
+   *
+   * @returns {boolean} - True if `hidden="until-found"` is supported.
+   */
+  function _supportsUntilFound() {
+    return typeof window.HTMLElement === 'function' &&
+           'onbeforematch' in window.HTMLElement.prototype;
+  }
+
+  /**
+   * Returns whether the browser supports CSS transitions.
+   *
+   * @returns {boolean} - True if CSS transitions are supported.
+   */
+  function _supportsTransitions() {
+    return Boolean( document ) &&
+           'transition' in document.documentElement.style;
+  }
+
+  /**
+   * Calls a function on the next animation frame.
+   *
+   * @param {Function} callback - The function to call.
+   * @returns {integer} - The id used to cancel the call.
+   */
+  function _requestFrame( callback ) {
+    if ( window.requestAnimationFrame ) {
+      return window.requestAnimationFrame( callback );
+    }
+    return window.setTimeout( callback, 13 );
+  }
+
+  /**
+   * Cancels a call scheduled with `_requestFrame`.
+   *
+   * @param {integer} id - The id returned by `_requestFrame`.
+   */
+  function _cancelFrame( id ) {
+    if ( window.cancelAnimationFrame ) {
+      window.cancelAnimationFrame( id );
+    } else {
+      window.clearTimeout( id );
+    }
+  }
+
+  /**
+   * Returns whether a value is a number greater than 0.
+   *
+   * @param {*} value - The value.
+   * @returns {boolean} - True if the value is a positive number.
+   */
+  function _isPositive( value ) {
+    return typeof value === 'number' && value > 0;
+  }
+
+  /**
+   * Converts a camelCased style property name to its CSS name.
+   *
+   * @param {string} name - The style property name, e.g. 'paddingTop'.
+   * @returns {string} - The CSS property name, e.g. 'padding-top'.
+   */
+  function _toCssName( name ) {
+    return name.replace( /[A-Z]/g, '-$&' ).toLowerCase();
+  }
+
+  /**
+   * Sets an inline style property, removing it when the value is empty.
+   *
+   * @param {object} element - The dom element.
+   * @param {string} name - The camelCased style property name.
+   * @param {string} value - The value.
+   */
+  function _setStyle( element, name, value ) {
+    if ( value ) {
+      element.style[name] = value;
+    } else {
+      element.style.removeProperty( _toCssName( name ) );
+    }
+  }
+
+  /**
+   * Shows or hides an element by animating its height, paddings
+   * and margins, like jQuery's `slideDown` and `slideUp`, either with a
+   * CSS transition or by updating the styles on every animation frame.
+   * Completes synchronously when there's nothing to animate.
+   *
+   * A slide frozen with `stop` is reversed by passing the state it returns
+   * as `settings.start`: the element slides back from where it stopped,
+   * in a duration shortened in proportion to the remaining distance.
+   *
+   * @param {object} element - The dom element.
+   * @param {boolean} isShown - Whether the element should be shown.
+   * @param {object} settings -
+   *   The `duration`, the `easing` returned by `Expandable.getEasing`,
+   *   whether to `useTransition`, whether to hide the element with
+   *   `hidden="until-found"` when `untilFound` is set, and the `start`
+   *   state, if any.
+   * @param {Function} callback - Called when the animation completes.
+   * @returns {object} -
+   *   The slide: `finish()` completes it immediately, `stop()` freezes it
+   *   and returns its state, and `full` holds the style values of the
+   *   shown element.
+   */
+  function _slide( element, isShown, settings, callback ) {
+    var style = element.style;
+    var start = settings.start;
+    var duration = settings.duration;
+    var inline = start ? start.inline : {};
+    var full = start ? start.full : {};
+    var from = start ? start.values : {};
+    var to = {};
+    var transitions = [];
+    var isFinished = false;
+    var onTransitionEnd;
+    var computed;
+    var startTime;
+    var frame;
+    var timer;
+    var name;
+    var i;
+
+    function clear() {
+      isFinished = true;
+      _cancelFrame( frame );
+      window.clearTimeout( timer );
+      element.removeEventListener( 'transitionend', onTransitionEnd );
+    }
+
+    function finish() {
+      if ( isFinished ) {
+        return;
+      }
+      clear();
+      for ( name in inline ) {
+        if ( inline.hasOwnProperty( name ) ) {
+          _setStyle( element, name, inline[name] );
+        }
+      }
+      if ( isShown ) {
+        if ( _isHidden( element ) ) {
+          _show( element );
+        }
+      } else if ( settings.untilFound ) {
+        element.setAttribute( 'hidden', 'until-found' );
+      } else {
+        style.display = 'none';
+      }
+      callback();
+    }
+
+    function stop() {
+      var values = {};
+      computed = window.getComputedStyle( element );
+      clear();
+      for ( name in to ) {
+        if ( to.hasOwnProperty( name ) ) {
+          values[name] = parseFloat( computed[name] ) || 0;
+        }
+      }
+      style.transition = 'none';
+      for ( name in values ) {
+        if ( values.hasOwnProperty( name ) ) {
+          style[name] = values[name] + 'px';
+        }
+      }
+      return { inline: inline, full: full, values: values };
+    }
+
+    onTransitionEnd = function( event ) {
+      if ( event.target === element && event.propertyName === 'height' ) {
+        finish();
+      }
+    };
+
+    function step() {
+      var progress = Math.min( 1, ( new Date() - startTime ) / duration );
+      var eased = settings.easing.fn( progress );
+      for ( name in to ) {
+        if ( to.hasOwnProperty( name ) ) {
+          style[name] = from[name] + ( to[name] - from[name] ) * eased + 'px';
+        }
+      }
+      if ( progress < 1 ) {
+        frame = _requestFrame( step );
+      } else {
+        finish();
+      }
+    }
+
+    if ( !start ) {
+      if ( isShown !== _isHidden( element ) || !_isPositive( duration ) ) {
+        finish();
+        return { finish: finish, stop: stop, full: full };
+      }
+      if ( isShown ) {
+        _show( element );
+      }
+      computed = window.getComputedStyle( element );
+      inline.overflow = style.overflow;
+      inline.transition = style.transition;
+      for ( i = 0; i < SLIDE_PROPERTIES.length; i++ ) {
+        name = SLIDE_PROPERTIES[i];
+        inline[name] = style[name];
+        full[name] = parseFloat( computed[name] ) || 0;
+        from[name] = isShown ? 0 : full[name];
+      }
+    }
+
+    for ( name in full ) {
+      if ( full.hasOwnProperty( name ) ) {
+        to[name] = isShown ? full[name] : 0;
+      }
+    }
+    if ( start ) {
+      duration = full.height > 0 ?
+        duration * Math.abs( to.height - from.height ) / full.height : 0;
+    }
+    if ( !_isPositive( duration ) ) {
+      finish();
+      return { finish: finish, stop: stop, full: full };
+    }
+
+    for ( name in from ) {
+      if ( from.hasOwnProperty( name ) ) {
+        style[name] = from[name] + 'px';
+        transitions.push( _toCssName( name ) + ' ' + duration + 'ms ' +
+          settings.easing.css );
+      }
+    }
+    style.overflow = 'hidden';
+
+    if ( settings.useTransition ) {
+      // Reading the height applies the start values before the transition.
+      void element.offsetHeight;
+      style.transition = transitions.join( ', ' );
+      for ( name in to ) {
+        if ( to.hasOwnProperty( name ) ) {
+          style[name] = to[name] + 'px';
+        }
+      }
+      element.addEventListener( 'transitionend', onTransitionEnd );
+
+      // `transitionend` doesn't fire when the height doesn't change.
+      timer = window.setTimeout( finish, duration + 50 );
+    } else {
+      startTime = new Date();
+      frame = _requestFrame( step );
+    }
+    return { finish: finish, stop: stop, full: full };
+  }
+
+  /**
+   * Creates a store of objects by dom element, in a WeakMap where
+   * supported and in an element property otherwise.
+   *
+   * @param {string} key - The element property used without WeakMap.
+   * @returns {object} - The store, with `get` and `set` functions.
+   */
+  function _createStore( key ) {
+    var map = typeof window.WeakMap === 'function' ?
+              new window.WeakMap() : null;
+
+    return {
+      get: function( element ) {
+        if ( !element ) {
+          return undefined;
+        }
+        return map ? map.get( element ) : element[key];
+      },
+      set: function( element, value ) {
+        if ( map ) {
+          if ( value ) {
+            map.set( element, value );
+          } else {
+            map['delete']( element );
+          }
+        } else if ( value ) {
+          element[key] = value;
+        } else {
+          delete element[key];
+        }
+      }
+    };
+  }
+
+  // Expandables and ExpandableGroups by dom element.
+  var _instances = _createStore( 'cfExpandable' );
+  var _groups = _createStore( 'cfExpandableGroup' );
+
+  /**
+   * Returns the Expandable of an element.
+   *
+   * @param {object} element - The .expandable dom element.
+   * @returns {object} - The Expandable, or undefined if not initialized.
+   */
+  function _getInstance( element ) {
+    return _instances.get( element );
+  }
+
+  /**
+   * Returns the Expandable of an element or of its closest ancestor
+   * that has one.
+   *
+   * @param {object} element - The dom element.
+   * @returns {object} - The Expandable, or undefined if there is none.
+   */
+  function _closestInstance( element ) {
+    while ( element && !_getInstance( element ) ) {
+      element = element.parentNode;
+    }
+    return _getInstance( element );
+  }
+
+  /**
+   * Stores the Expandable of an element, or removes it.
+   *
+   * @param {object} element - The .expandable dom element.
+   * @param {object} instance - The Expandable, null to remove it.
+   */
+  function _setInstance( element, instance ) {
+    _instances.set( element, instance );
+  }
+
+  /**
+   * Creates the controller of an .expandable-group element, which knows
+   * the Expandables of the group and its accordion rules.
+   *
+   * @param {object} element - The .expandable-group dom element.
+   * @param {object} options - Object used to customize the group.
+   */
+  function ExpandableGroup( element, options ) {
+    this.create( element, options );
+  }
+
+  /**
+   * Default options used by every ExpandableGroup. The data-accordion,
+   * data-accordion-min and data-accordion-max attributes of the group
+   * element take precedence.
+   */
+  ExpandableGroup.defaults = {
+    accordion:      false,
+    accordionMin:   0,
+    accordionMax:   1,
+    highlightClass: 'expandable_highlight',
+    noResultsClass: 'expandable-group__no-results',
+    cueSelector:    '.expandable_cue-open, .expandable_cue-close'
+  };
+
+  /**
+   * Returns the ExpandableGroup of an element.
+   *
+   * @param {object} element - The .expandable-group dom element.
+   * @returns {object} - The group, or undefined if not initialized.
+   */
+  ExpandableGroup.getInstance = function getInstance( element ) {
+    return _groups.get( element );
+  };
+
+  ExpandableGroup.prototype = {
+    constructor: ExpandableGroup,
+
+    // Data attributes read as options.
+    dataOptions: {
+      accordion:    'accordion',
+      accordionMin: 'accordion-min',
+      accordionMax: 'accordion-max'
+    },
+
+    /**
+     * Creates and customizes the group.
+     *
+     * @param {object} element - The .expandable-group dom element.
+     * @param {object} options - Object used to customize the group.
+     */
+    create: function create( element, options ) {
+      var properties = _extend( {}, ExpandableGroup.defaults, options );
+      var previous;
+      var members;
+      var value;
+
+      for ( var key in this.dataOptions ) {
+        if ( this.dataOptions.hasOwnProperty( key ) ) {
+          value = _getData( element, this.dataOptions[key] );
+          if ( typeof value !== 'undefined' ) {
+            properties[key] = value;
+          }
+        }
+      }
+      properties.accordion = Boolean( properties.accordion );
+      this.properties = properties;
+      _extend( this, properties );
+      this.el = element;
+
+      // A group created after its Expandables replaces the one they
+      // created, so that there is one group per element.
+      previous = _groups.get( element );
+      _groups.set( element, this );
+      if ( previous ) {
+        members = previous.getMembers();
+        for ( var i = 0; i < members.length; i++ ) {
+          members[i].group = this;
+          members[i].isInAccordion = this.accordion;
+        }
+        this.update();
+      }
+    },
+
+    /**
+     * Gets or sets the group options.
+     *
+     * @param {string|object} key -
+     *   The option name or an object of options to set.
+     *   Returns all options if excluded.
+     * @param {*} value - The option value to set.
+     * @returns {*} - The option value or options object when getting.
+     */
+    option: function option( key, value ) {
+      var options = {};
+      var members;
+
+      if ( typeof key === 'undefined' ) {
+        return _extend( {}, this.properties );
+      }
+      if ( typeof key === 'string' ) {
+        if ( typeof value === 'undefined' ) {
+          return this.properties[key];
+        }
+        options[key] = value;
+      } else {
+        options = key;
+      }
+      _extend( this.properties, options );
+      _extend( this, options );
+      members = this.getMembers();
+      for ( var i = 0; i < members.length; i++ ) {
+        members[i].isInAccordion = Boolean( this.accordion );
+      }
+      this.update();
+    },
+
+    /**
+     * Returns the Expandables of the group, in document order. They don't
+     * need to be children of the group element.
+     *
+     * @returns {Array} - The Expandables.
+     */
+    getMembers: function getMembers() {
+      var elements = this.el.querySelectorAll( '.expandable' );
+      var members = [];
+      var instance;
+
+      for ( var i = 0, len = elements.length; i < len; i++ ) {
+        instance = _getInstance( elements[i] );
+        if ( instance && instance.group === this ) {
+          members.push( instance );
+        }
+      }
+      return members;
+    },
+
+    /**
+     * Returns the element holding an Expandable of the group: its
+     * outermost ancestor inside the group element, e.g. the `li` wrapping
+     * it in a list, or the .expandable element itself.
+     *
+     * @param {object} member - The Expandable.
+     * @returns {object} - The dom element.
+     */
+    getItem: function getItem( member ) {
+      var item = member.el;
+
+      while ( item.parentNode && item.parentNode !== this.el ) {
+        item = item.parentNode;
+      }
+      return item;
+    },
+
+    /**
+     * Returns the expanded Expandables of the group, in document order.
+     *
+     * @returns {Array} - The expanded Expandables.
+     */
+    getExpanded: function getExpanded() {
+      var members = this.getMembers();
+      var expanded = [];
+
+      for ( var i = 0; i < members.length; i++ ) {
+        if ( members[i].isExpanded ) {
+          expanded.push( members[i] );
+        }
+      }
+      return expanded;
+    },
+
+    /**
+     * Expands every Expandable of the group, except disabled and inactive
+     * ones. Accordion groups are left untouched.
+     *
+     * @param {integer} duration - The animation duration.
+     * @returns {object} -
+     *   Promise resolved with the expanded Expandables when every animation
+     *   completes, or rejected like `expand`. Rejected with an error of type
+     *   'canceled' if the group is an accordion.
+     */
+    expandAll: function expandAll( duration ) {
+      var members = this.getMembers();
+      var promises = [];
+      var deferred;
+
+      if ( this.accordion ) {
+        deferred = _defer();
+        deferred.reject( _createError( 'canceled', 'expand' ) );
+        return deferred.promise;
+      }
+      for ( var i = 0; i < members.length; i++ ) {
+        if ( members[i].isActive && !members[i].isDisabled &&
+             !members[i].isExpanded ) {
+          promises.push( members[i].expand( duration, 'group' ) );
+        }
+      }
+      return _all( promises );
+    },
+
+    /**
+     * Collapses every Expandable of the group, except disabled and
+     * inactive ones.
+     *
+     * @param {integer} duration - The animation duration.
+     * @returns {object} -
+     *   Promise resolved with the collapsed Expandables when every animation
+     *   completes, or rejected like `collapse`.
+     */
+    collapseAll: function collapseAll( duration ) {
+      var members = this.getMembers();
+      var promises = [];
+
+      for ( var i = 0; i < members.length; i++ ) {
+        if ( members[i].isActive && !members[i].isDisabled &&
+             members[i].isExpanded ) {
+          promises.push( members[i].collapse( duration, 'group' ) );
+        }
+      }
+      return _all( promises );
+    },
+
+    /**
+     * Expands one Expandable of the group and collapses the others,
+     * except disabled and inactive ones.
+     *
+     * @param {integer} index - The index of the Expandable in the group.
+     * @param {integer} duration - The animation duration.
+     * @returns {object} -
+     *   Promise resolved with the changed Expandables when every animation
+     *   completes, or rejected like `expand` and `collapse`. Rejected with
+     *   an error of type 'canceled' if there is no Expandable at the index.
+     */
+    openOnly: function openOnly( index, duration ) {
+      var members = this.getMembers();
+      var member = members[index];
+      var promises = [];
+      var deferred;
+
+      if ( !member ) {
+        deferred = _defer();
+        deferred.reject( _createError( 'canceled', 'expand' ) );
+        return deferred.promise;
+      }
+      if ( !member.isExpanded ) {
+        promises.push( member.expand( duration, 'group' ) );
+      }
+      for ( var i = 0; i < members.length; i++ ) {
+        if ( members[i] !== member && members[i].isActive &&
+             !members[i].isDisabled && members[i].isExpanded ) {
+          promises.push( members[i].collapse( duration, 'group' ) );
+        }
+      }
+      return _all( promises );
+    },
+
+    /**
+     * Filters the Expandables of the group by a text: the others are
+     * hidden with the elements holding them, those whose content matches
+     * are expanded, and matches in labels and contents are highlighted.
+     * Targets without a label are searched without their cues. An empty
+     * text clears the filter and restores the expanded states from before
+     * filtering.
+     *
+     * @param {string} query - The text to search, case insensitive.
+     * @returns {Array} - The matching Expandables.
+     */
+    filter: function filter( query ) {
+      var members = this.getMembers();
+      var matches = [];
+      var empty = this.el.querySelector( '[data-expandable-filter-empty]' );
+      var member;
+      var label;
+      var isContentMatch;
+      var i;
+
+      query = String( query || '' ).replace( /^\s+|\s+$/g, '' ).toLowerCase();
+      if ( query && !this.filterStates ) {
+        this.filterStates = [];
+        for ( i = 0; i < members.length; i++ ) {
+          this.filterStates.push( {
+            member:     members[i],
+            isExpanded: members[i].isExpanded
+          } );
+        }
+      }
+
+      for ( i = 0; i < members.length; i++ ) {
+        member = members[i];
+        label = member.target.querySelector( '.expandable_label' ) ||
+                member.target;
+        _removeHighlights( label, this.highlightClass );
+        _removeHighlights( member.content, this.highlightClass );
+        isContentMatch = Boolean( query ) &&
+          member.content.textContent.toLowerCase().indexOf( query ) !== -1;
+        member.isFilteredOut = Boolean( query ) && !isContentMatch &&
+          _getText( label, this.cueSelector ).toLowerCase()
+            .indexOf( query ) === -1;
+        if ( member.isFilteredOut ) {
+          this.getItem( member ).setAttribute( 'hidden', '' );
+        } else {
+          matches.push( member );
+        }
+        if ( query ) {
+          _highlight( label, query, this.highlightClass, this.cueSelector );
+          _highlight( member.content, query, this.highlightClass );
+        }
+        if ( isContentMatch && !member.isExpanded && member.isActive &&
+             !member.isDisabled ) {
+          member.expand( 0, 'filter' );
+        }
+      }
+
+      // Shown last, for an element holding matching and filtered out
+      // Expandables.
+      for ( i = 0; i < matches.length; i++ ) {
+        this.getItem( matches[i] ).removeAttribute( 'hidden' );
+      }
+      _toggleClass( this.el, this.noResultsClass, !matches.length );
+      if ( empty ) {
+        empty.hidden = matches.length > 0;
+      }
+      if ( !query ) {
+        this.restoreFilterStates();
+      }
+      return matches;
+    },
+
+    /**
+     * Restores the expanded states saved when filtering started.
+     */
+    restoreFilterStates: function restoreFilterStates() {
+      var states = this.filterStates || [];
+      var member;
+
+      this.filterStates = null;
+      for ( var i = 0; i < states.length; i++ ) {
+        member = states[i].member;
+        if ( _getInstance( member.el ) !== member || member.isDisabled ||
+             member.isExpanded === states[i].isExpanded ) {
+          continue;
+        }
+        if ( states[i].isExpanded ) {
+          member.expand( 0, 'filter' );
+        } else {
+          member.collapse( 0, 'filter' );
+        }
+      }
+    },
+
+    /**
+     * Updates the expand-all and collapse-all controls of the group
+     * to reflect whether all of its Expandables are expanded.
+     */
+    update: function update() {
+      var members = this.getMembers();
+      var isAllExpanded = members.length > 0;
+      var contentIds = [];
+      var actions = this.el.querySelectorAll(
+        '[data-expandable-group-action]' );
+      var action;
+      var name;
+      var i;
+
+      for ( i = 0; i < members.length; i++ ) {
+        if ( members[i].isActive && !members[i].isDisabled ) {
+          isAllExpanded = isAllExpanded && members[i].isExpanded;
+          contentIds.push( members[i].content.id );
+        }
+      }
+
+      for ( i = 0; i < actions.length; i++ ) {
+        action = actions[i];
+        name = _getData( action, 'expandable-group-action' );
+        if ( _closest( action, '.expandable-group' ) !== this.el ) {
+          continue;
+        }
+        action.setAttribute( 'aria-controls', contentIds.join( ' ' ) );
+        action.setAttribute( 'aria-expanded', String( isAllExpanded ) );
+        if ( this.accordion && name !== 'collapse-all' ) {
+          action.setAttribute( 'aria-disabled', 'true' );
+        } else {
+          action.removeAttribute( 'aria-disabled' );
+        }
+        if ( name === 'toggle-all' ) {
+          action.textContent = isAllExpanded ?
+            _getData( action, 'collapse-label' ) || 'Collapse all' :
+            _getData( action, 'expand-label' ) || 'Expand all';
+        }
+      }
+    },
+
+    /**
+     * Dispatches a namespaced event on the group element.
+     * The group and the Expandable are available as properties of the
+     * event and of its `detail`.
+     *
+     * @param {string} type -
+     *   The event type without the `expandable-group:` prefix.
+     * @param {object} expandable - The Expandable that changed.
+     * @returns {boolean} - False if a listener canceled the event.
+     */
+    trigger: function trigger( type, expandable ) {
+      var detail = {
+        group:      this,
+        expandable: expandable
+      };
+      var event = _createEvent( 'expandable-group:' + type, detail );
+      _extend( event, detail );
+      return this.el.dispatchEvent( event );
+    }
+  };
+
+  /**
+   * Returns the .expandable-group an Expandable belongs to: its closest
+   * one, whatever markup wraps the Expandable inside the group, unless the
+   * Expandable is nested in another Expandable of that group.
+   *
+   * @param {object} element - The .expandable dom element.
+   * @returns {object} - The .expandable-group dom element, or null.
+   */
+  function _getGroupElement( element ) {
+    var group = _closest( element.parentNode, '.expandable-group' );
+    var parent = _closest( element.parentNode, '.expandable' );
+
+    if ( group && parent && group.contains( parent ) ) {
+      return null;
+    }
+    return group;
+  }
+
+  /**
+   * Returns the ExpandableGroup of an element, creating it if needed.
+   *
+   * @param {object} element - The .expandable-group dom element.
+   * @returns {object} - The group.
+   */
+  function _getGroup( element ) {
+    return ExpandableGroup.getInstance( element ) ||
+           new ExpandableGroup( element );
+  }
+
+  /**
+   * Creates and customizes an Expandable instance.
+   *
+   * @param {object} element - The .expandable dom element.
+   * @param {object} options - Object used to customize the Expandable.
+   */
+  function Expandable( element, options ) {
+    this.create( element, options );
+  }
+
+  /**
+   * Calls a duration calculation, such as `calculateExpandDuration`,
+   * through `$.fn.expandable` once the plugin is registered, so that
+   * overriding it there keeps working.
+   *
+   * @param {string} name - The name of the calculation function.
+   * @param {integer} height - The height of the content.
+   * @returns {integer} - The animation duration.
+   */
+  function _calculateDuration( name, height ) {
+    var plugin = _jQuery && _jQuery.fn.expandable;
+
+    if ( plugin && typeof plugin[name] === 'function' ) {
+      return plugin[name]( height );
+    }
+    return Expandable[name]( height );
+  }
+
+  /**
+   * Default options used by every Expandable.
+   * Changes apply to Expandables initialized afterwards.
+   */
+  Expandable.defaults = {
+    isInAccordion:    false,
+    expandedClass:    'expandable__expanded',
+    throttleDuration: 0,
+    extendElement:    true,
+    updateHash:       false,
+    persist:          false,
+    animation:        'transition',
+    easing:           'easeOutExpo',
+    reduceMotion:     'auto',
+    src:              null,
+    loadingClass:     'expandable__loading',
+    errorClass:       'expandable__error',
+    media:            null,
+    inactiveClass:    'expandable__inactive',
+    disabledClass:    'expandable__disabled',
+    hiddenUntilFound: false,
+    expandOnPrint:    true
+  };
+
+  Expandable.prototype = {
+    constructor: Expandable,
+
+    // Elements that will be cached.
+    ui: {
+      content: '.expandable_content',
+      target:  '.expandable_target'
+    },
+
+    // Attributes that `initUI` may change, restored by `destroy`.
+    uiAttributes: {
+      content: [ 'id', 'role', 'aria-labelledby', 'aria-busy', 'hidden',
+                 'style' ],
+      target:  [ 'id', 'role', 'tabindex', 'aria-controls', 'aria-expanded',
+                 'aria-disabled' ]
+    },
+
+    // Methods copied onto the dom element when `extendElement` is set.
+    elementMethods: [ 'expand', 'collapse', 'toggle' ],
+
+    /**
+     * Creates and customizes the Expandable.
+     *
+     * @param {object} element - The .expandable dom element.
+     * @param {object} options - Object used to customize the Expandable.
+     */
+    create: function create( element, options ) {
+      var properties = _extend( {}, Expandable.defaults, options );
+
+      _extend( this, properties );
+      this.properties = properties;
+      this.el = element;
+      _setInstance( element, this );
+      this.init();
+    },
+
+    /**
+     * Re-initializes the Expandable with new options,
+     * keeping its current expanded state.
+     *
+     * @param {object} options - Object used to customize the Expandable.
+     */
+    configure: function configure( options ) {
+      var isExpanded = this.isExpanded;
+      var isDisabled = this.isDisabled;
+      var properties = _extend( {}, this.properties, options );
+
+      this.destroy();
+      this.create( this.el, properties );
+      if ( this.isExpanded !== isExpanded ) {
+        this.setState( isExpanded, 0 );
+      }
+      this.setDisabled( isDisabled );
+    },
+
+    /**
+     * Sets the initial state for the Expandable.
+     */
+    init: function init() {
+      var group = _getGroupElement( this.el );
+
+      this.group = group ? _getGroup( group ) : null;
+      this.isInGroup = this.group !== null;
+      this.isInAccordion = this.isInGroup && this.group.accordion;
+      this.isExpanded = _hasClass( this.el, this.expandedClass );
+      this.wasExpanded = this.isExpanded;
+      this.wasDisabled = _hasClass( this.el, this.disabledClass );
+      this.src = this.el.getAttribute( 'data-expandable-src' ) || this.src;
+      this.isLoaded = !this.src;
+      this.loadCallbacks = [];
+      this.media = this.el.getAttribute( 'data-expandable-media' ) ||
+                   this.media;
+      this.isActive = true;
+      this.isUntilFound = Boolean( this.hiddenUntilFound ) &&
+                          _supportsUntilFound();
+      if ( this.el.hasAttribute( 'data-expandable-print' ) ) {
+        this.expandOnPrint = Boolean(
+          _getData( this.el, 'expandable-print' ) );
+      }
+      this.initUI();
+      this.initEvents();
+      this.initElementMethods();
+      this.initMedia();
+      if ( this.isInAccordion && this.isExpanded ) {
+        // A restored state wins over the markup, while expanded items in
+        // the markup beyond the accordion maximum are collapsed.
+        if ( this.isRestored ) {
+          this.collapseAccordionSiblings( 0 );
+        } else if ( this.getExpandedMembers().length >
+                    this.group.accordionMax ) {
+          this.setState( false, 0 );
+        }
+      }
+      if ( this.isExpanded ) {
+        this.loadContent();
+      }
+    },
+
+    /**
+     * Gets or sets the Expandable options.
+     * Setting options re-configures the Expandable.
+     *
+     * @param {string|object} key -
+     *   The option name or an object of options to set.
+     *   Returns all options if excluded.
+     * @param {*} value - The option value to set.
+     * @returns {*} - The option value or options object when getting.
+     */
+    option: function option( key, value ) {
+      var options = {};
+
+      if ( typeof key === 'undefined' ) {
+        return _extend( {}, this.properties );
+      }
+      if ( typeof key === 'string' ) {
+        if ( typeof value === 'undefined' ) {
+          return this.properties[key];
+        }
+        options[key] = value;
+      } else {
+        options = key;
+      }
+      this.configure( options );
+    },
+
+    /**
+     * Un-initializes the Expandable, restoring the markup to its
+     * original state so that it can be initialized again.
+     */
+    destroy: function destroy() {
+      var i;
+      var len;
+
+      this.finishAnimation();
+      _removeListener( this.jQuery, this.el, 'click',
+        this.listeners.click );
+      _removeListener( this.jQuery, this.target, 'keydown',
+        this.listeners.keydown );
+      _removeListener( this.jQuery, this.content, 'beforematch',
+        this.listeners.beforematch );
+      if ( this.mediaQuery ) {
+        _removeMediaListener( this.mediaQuery, this.listeners.media );
+      }
+      _toggleClass( this.el, this.expandedClass, this.wasExpanded );
+      _toggleClass( this.el, this.loadingClass, false );
+      _toggleClass( this.el, this.errorClass, false );
+      _toggleClass( this.el, this.inactiveClass, false );
+      _toggleClass( this.el, this.disabledClass, this.wasDisabled );
+      this.loadCallbacks = [];
+      for ( var key in this.ui ) {
+        if ( this.ui.hasOwnProperty( key ) ) {
+          _restoreAttributes( this[key], this.originalAttributes[key] );
+        }
+      }
+      if ( this.isFilteredOut ) {
+        this.group.getItem( this ).removeAttribute( 'hidden' );
+        this.isFilteredOut = false;
+      }
+      if ( this.isInGroup ) {
+        _removeHighlights( this.el, this.group.highlightClass );
+      }
+
+      if ( this.extendElement ) {
+        for ( i = 0, len = this.elementMethods.length; i < len; i++ ) {
+          delete this.el[this.elementMethods[i]];
+        }
+      }
+      _setInstance( this.el, null );
+      if ( this.isInGroup ) {
+        this.group.update();
+      }
+    },
+
+    /**
+     * Un-initializes the Expandable and removes the dom element from the dom.
+     */
+    removeElement: function removeElement() {
+      this.destroy();
+      if ( this.el.parentNode ) {
+        this.el.parentNode.removeChild( this.el );
+      }
+    },
+
+    /**
+     * Initializes the initial state of the Expandable UI.
+     */
+    initUI: function initUI() {
+      this.originalAttributes = {};
+      for ( var uiKey in this.ui ) {
+        if ( this.ui.hasOwnProperty( uiKey ) ) {
+          this[uiKey] = this.el.querySelector( this.ui[uiKey] );
+          this.originalAttributes[uiKey] = _getAttributes(
+            this[uiKey], this.uiAttributes[uiKey] );
+        }
+      }
+
+      // Expandables are disabled in the markup with the modifier or
+      // aria-disabled.
+      this.isDisabled = this.wasDisabled ||
+        this.target.getAttribute( 'aria-disabled' ) === 'true';
+      _toggleClass( this.el, this.disabledClass, this.isDisabled );
+      this.initAttributes();
+      this.restoreState();
+      this.setState( this.isExpanded, 0 );
+    },
+
+    /**
+     * Adds the ARIA attributes, roles and ids of the Expandable UI.
+     */
+    initAttributes: function initAttributes() {
+      this.target.setAttribute( 'aria-controls',
+        _ensureId( this.content, 'content' ) );
+      this.content.setAttribute( 'role', 'region' );
+      this.content.setAttribute( 'aria-labelledby',
+        _ensureId( this.target, 'target' ) );
+
+      // Non-button targets need a role and focusability to act as buttons.
+      if ( !_matches( this.target, 'button' ) ) {
+        this.target.setAttribute( 'role', 'button' );
+        if ( !_matches( this.target, '[href], [tabindex]' ) ) {
+          this.target.setAttribute( 'tabindex', '0' );
+        }
+      }
+      if ( this.isDisabled ) {
+        this.target.setAttribute( 'aria-disabled', 'true' );
+      }
+    },
+
+    /**
+     * Replaces the initial state with the persisted one, if any.
+     */
+    restoreState: function restoreState() {
+      var isExpanded = this.loadState();
+      this.isRestored = typeof isExpanded !== 'undefined';
+      if ( this.isRestored ) {
+        this.isExpanded = isExpanded;
+      }
+    },
+
+    /**
+     * Initializes the Expandable dom events.
+     */
+    initEvents: function initEvents() {
+      var self = this;
+      var toggle = function( event ) {
+        self.toggle( event );
+      };
+
+      // Animations are reversed when interrupted, so clicks only need to be
+      // throttled on request.
+      if ( this.throttleDuration > 0 ) {
+        toggle = _throttle( this.throttleDuration, this.toggle, this );
+      }
+
+      this.listeners = {
+        click: function( event ) {
+          var target = _closest( event.target, '.expandable_target',
+            self.el );
+
+          // Clicks on the targets of nested Expandables bubble up when
+          // they don't toggle, e.g. while inactive or disabled.
+          if ( self.isActive && target &&
+               _closestInstance( target ) === self ) {
+            // Throttled clicks must not follow the href of link targets.
+            event.preventDefault();
+            if ( !self.isDisabled ) {
+              toggle( event );
+            }
+          }
+        },
+        keydown: function( event ) {
+          self.onKeydown( event );
+        },
+        beforematch: function( event ) {
+          // Nested contents being revealed fire their own event.
+          if ( event.target === self.content ) {
+            self.expand( 0, 'find' );
+          }
+        }
+      };
+      // Kept to remove the listeners the same way they were added.
+      this.jQuery = _jQuery;
+      _addListener( this.jQuery, this.el, 'click', this.listeners.click );
+      _addListener( this.jQuery, this.target, 'keydown',
+        this.listeners.keydown );
+      if ( this.isUntilFound ) {
+        _addListener( this.jQuery, this.content, 'beforematch',
+          this.listeners.beforematch );
+      }
+    },
+
+    /**
+     * Watches the `media` option, so the Expandable is only active while
+     * the media query matches.
+     */
+    initMedia: function initMedia() {
+      var self = this;
+
+      if ( !this.media || !window.matchMedia ) {
+        return;
+      }
+      this.mediaQuery = window.matchMedia( this.media );
+      this.listeners.media = function() {
+        self.setActive( self.mediaQuery.matches );
+      };
+      _addMediaListener( this.mediaQuery, this.listeners.media );
+      this.setActive( this.mediaQuery.matches );
+    },
+
+    /**
+     * Activates or deactivates the Expandable. Inactive Expandables show
+     * their content, ignore clicks and lose their ARIA attributes, and
+     * get their expanded state back once active again.
+     *
+     * @param {boolean} isActive - Whether the Expandable should be active.
+     */
+    setActive: function setActive( isActive ) {
+      if ( isActive === this.isActive ) {
+        return;
+      }
+      this.isActive = isActive;
+      _toggleClass( this.el, this.inactiveClass, !isActive );
+      if ( isActive ) {
+        this.initAttributes();
+        this.setState( this.isExpanded, 0 );
+        return;
+      }
+
+      this.finishAnimation();
+      for ( var key in this.ui ) {
+        if ( this.ui.hasOwnProperty( key ) ) {
+          _restoreAttributes( this[key], this.originalAttributes[key] );
+        }
+      }
+      _show( this.content );
+      _toggleClass( this.el, this.expandedClass, true );
+      if ( this.isInGroup ) {
+        this.group.update();
+      }
+    },
+
+    /**
+     * Disables the Expandable: clicks and keyboard activation are ignored,
+     * and accordion siblings and group actions leave it as it is.
+     * It can still be expanded and collapsed by calling its methods.
+     */
+    disable: function disable() {
+      this.setDisabled( true );
+    },
+
+    /**
+     * Enables the Expandable after `disable`.
+     */
+    enable: function enable() {
+      this.setDisabled( false );
+    },
+
+    /**
+     * Sets the disabled class and `aria-disabled` attribute.
+     *
+     * @param {boolean} isDisabled - Whether the Expandable is disabled.
+     */
+    setDisabled: function setDisabled( isDisabled ) {
+      this.isDisabled = Boolean( isDisabled );
+      _toggleClass( this.el, this.disabledClass, this.isDisabled );
+
+      // Inactive Expandables don't have ARIA attributes.
+      if ( !this.isActive ) {
+        return;
+      }
+      if ( this.isDisabled ) {
+        this.target.setAttribute( 'aria-disabled', 'true' );
+      } else {
+        this.target.removeAttribute( 'aria-disabled' );
+      }
+      if ( this.isInGroup ) {
+        this.group.update();
+      }
+    },
+
+    /**
+     * Copies the public methods onto the dom element, bound to the
+     * Expandable, to maintain backwards compatibility with code calling
+     * `element.expand()`. Disabled by setting `extendElement` to false.
+     */
+    initElementMethods: function initElementMethods() {
+      var self = this;
+
+      function bind( name ) {
+        self.el[name] = function() {
+          return self[name].apply( self, arguments );
+        };
+      }
+
+      if ( this.extendElement ) {
+        for ( var i = 0, len = this.elementMethods.length; i < len; i++ ) {
+          bind( this.elementMethods[i] );
+        }
+      }
+    },
+
+    /**
+     * Handles keyboard activation of non-button targets and,
+     * inside an expandable group, navigation between group headers.
+     *
+     * @param {object} event - The keydown event.
+     */
+    onKeydown: function onKeydown( event ) {
+      var key = event.which || event.keyCode;
+      var members;
+      var targets = [];
+      var instance;
+      var index;
+      var lastIndex;
+
+      if ( !this.isActive ) {
+        return;
+      }
+      if ( ( key === KEY_CODES.ENTER || key === KEY_CODES.SPACE ) &&
+           !_matches( this.target, 'button' ) ) {
+        event.preventDefault();
+        this.target.click();
+        return;
+      }
+
+      if ( !this.isInGroup ) {
+        return;
+      }
+
+      members = this.getGroupMembers();
+      for ( var i = 0; i < members.length; i++ ) {
+        instance = _getInstance( members[i] );
+        if ( instance && !instance.isFilteredOut ) {
+          targets.push( instance.target );
+        }
+      }
+      index = targets.indexOf( this.target );
+      lastIndex = targets.length - 1;
+
+      switch ( key ) {
+        case KEY_CODES.UP:
+          index = index === 0 ? lastIndex : index - 1;
+          break;
+        case KEY_CODES.DOWN:
+          index = index === lastIndex ? 0 : index + 1;
+          break;
+        case KEY_CODES.HOME:
+          index = 0;
+          break;
+        case KEY_CODES.END:
+          index = lastIndex;
+          break;
+        default:
+          return;
+      }
+
+      event.preventDefault();
+      targets[index].focus();
+    },
+
+    /**
+     * Returns the Expandables in the same group, including this one.
+     * Only for Expandables in a group.
+     *
+     * @returns {Array} - The group member dom elements.
+     */
+    getGroupMembers: function getGroupMembers() {
+      var members = this.group.getMembers();
+      var elements = [];
+
+      for ( var i = 0; i < members.length; i++ ) {
+        elements.push( members[i].el );
+      }
+      return elements;
+    },
+
+    /**
+     * Expands or collapses the Expandable.
+     *
+     * @param {object} event - The click event, if any.
+     * @returns {object} - The promise returned by `expand` or `collapse`.
+     */
+    toggle: function toggle( event ) {
+      var source = 'api';
+
+      if ( event ) {
+        event.preventDefault();
+        event.stopPropagation();
+        source = 'click';
+      }
+
+      if ( this.isExpanded || this.isExpandPending ) {
+        return this.collapse( undefined, source );
+      }
+      return this.expand( undefined, source );
+    },
+
+    /**
+     * Returns the expanded Expandables of the group, including this one,
+     * from the least to the most recently expanded.
+     *
+     * @returns {Array} - The expanded Expandables.
+     */
+    getExpandedMembers: function getExpandedMembers() {
+      if ( !this.isInGroup ) {
+        return this.isExpanded ? [ this ] : [];
+      }
+      return this.group.getExpanded().sort( function( a, b ) {
+        return a.expandedAt - b.expandedAt;
+      } );
+    },
+
+    /**
+     * Collapses the least recently expanded siblings of an accordion group
+     * until no more than `data-accordion-max`, 1 by default, are expanded.
+     * Disabled siblings are left expanded.
+     *
+     * @param {integer} duration -
+     *   The time duration in which the collapse will occur.
+     */
+    collapseAccordionSiblings: function collapseAccordionSiblings( duration ) {
+      var expanded;
+      var excess;
+
+      // Every match is expanded while the group is filtered.
+      if ( !this.isInAccordion || this.group.filterStates ) {
+        return;
+      }
+      expanded = this.getExpandedMembers();
+      excess = expanded.length - this.group.accordionMax;
+      for ( var i = 0; i < expanded.length && excess > 0; i++ ) {
+        if ( expanded[i] !== this && !expanded[i].isDisabled ) {
+          expanded[i].collapse( duration, 'accordion' );
+          excess--;
+        }
+      }
+    },
+
+    /**
+     * Expands the expandable, sets the internal state
+     * and adds aria attributes.
+     *
+     * @param {integer} duration -
+     *   The time duration in which the expansion will occur.
+     *   Ignored when motion is reduced.
+     * @param {string} source -
+     *   What initiated the expansion:
+     *   'click', 'api', 'accordion', 'group', 'hash', 'find' or 'filter'.
+     *   Defaults to 'api'.
+     * @returns {object} -
+     *   Promise resolved with the Expandable when the animation completes,
+     *   or rejected with an error of type 'canceled' if a
+     *   `beforeexpand` listener cancels it, 'interrupted' if the
+     *   Expandable is collapsed before, 'load' if its content
+     *   fails to load, or 'inactive' if the Expandable is inactive.
+     */
+    expand: function expand( duration, source ) {
+      var self = this;
+      var deferred = _defer();
+      var siblingDuration = duration;
+
+      if ( !this.isActive ) {
+        deferred.reject( _createError( 'inactive', 'expand' ) );
+        return deferred.promise;
+      }
+
+      // Lazy content is loaded first, so the duration fits its height.
+      if ( !this.isLoaded ) {
+        this.isExpandPending = true;
+        this.loadContent( function( error ) {
+          var promise;
+
+          if ( !self.isExpandPending ) {
+            deferred.reject( _createError( 'interrupted', 'expand' ) );
+            return;
+          }
+          self.isExpandPending = false;
+          if ( error ) {
+            deferred.reject( error );
+            return;
+          }
+          promise = self.expand( duration, source );
+          if ( promise ) {
+            promise.then( deferred.resolve, deferred.reject );
+          }
+        }, function() {
+          return self.expand( duration, source );
+        } );
+        return deferred.promise;
+      }
+
+      if ( this.isMotionReduced() ) {
+        duration = 0;
+      } else if ( typeof duration === 'undefined' ) {
+        duration = _calculateDuration( 'calculateExpandDuration',
+          this.getContentHeight() );
+      }
+      source = source || 'api';
+      if ( !this.trigger( 'beforeexpand', duration, source ) ) {
+        deferred.reject( _createError( 'canceled', 'expand' ) );
+        return deferred.promise;
+      }
+      this.setState( true, duration, function() {
+        this.trigger( 'afterexpand', duration, source );
+        deferred.resolve( this );
+      }, function() {
+        deferred.reject( _createError( 'interrupted', 'expand' ) );
+      } );
+      this.collapseAccordionSiblings( siblingDuration );
+      this.saveState();
+      if ( this.updateHash && source === 'click' ) {
+        _replaceHash( this.getStateId() );
+      }
+      return deferred.promise;
+    },
+
+    /**
+     * Collapses the expandable, sets the internal state
+     * and adds aria attributes.
+     *
+     * @param {integer} duration -
+     *   The time duration in which the collapse will occur.
+     *   Ignored when motion is reduced.
+     * @param {string} source -
+     *   What initiated the collapse:
+     *   'click', 'api', 'accordion', 'group' or 'filter'.
+     *   Defaults to 'api'.
+     * @returns {object} -
+     *   Promise resolved with the Expandable when the animation completes,
+     *   or rejected with an error of type 'canceled' if a
+     *   `beforecollapse` listener cancels it, 'interrupted' if the
+     *   Expandable is expanded before, or 'inactive' if the Expandable
+     *   is inactive.
+     */
+    collapse: function collapse( duration, source ) {
+      var deferred = _defer();
+
+      if ( !this.isActive ) {
+        deferred.reject( _createError( 'inactive', 'collapse' ) );
+        return deferred.promise;
+      }
+
+      this.isExpandPending = false;
+
+      // Accordions may keep a minimum number of items expanded.
+      if ( this.isExpanded && this.isInAccordion &&
+           this.getExpandedMembers().length <= this.group.accordionMin ) {
+        deferred.reject( _createError( 'canceled', 'collapse' ) );
+        return deferred.promise;
+      }
+      if ( this.isMotionReduced() ) {
+        duration = 0;
+      } else if ( typeof duration === 'undefined' ) {
+        duration = _calculateDuration( 'calculateCollapseDuration',
+          this.getContentHeight() );
+      }
+      source = source || 'api';
+      if ( !this.trigger( 'beforecollapse', duration, source ) ) {
+        deferred.reject( _createError( 'canceled', 'collapse' ) );
+        return deferred.promise;
+      }
+      this.setState( false, duration, function() {
+        this.trigger( 'aftercollapse', duration, source );
+        deferred.resolve( this );
+      }, function() {
+        deferred.reject( _createError( 'interrupted', 'collapse' ) );
+      } );
+      this.saveState();
+      if ( this.updateHash && source === 'click' &&
+           this.getStateId() &&
+           window.location.hash === '#' + this.getStateId() ) {
+        _replaceHash( '' );
+      }
+      return deferred.promise;
+    },
+
+    /**
+     * Loads the content from the `src` option, if it isn't loaded yet.
+     * Expanding loads it automatically.
+     *
+     * @returns {object} -
+     *   Promise resolved with the Expandable once the content is loaded,
+     *   or rejected with an error of type 'load'.
+     */
+    load: function load() {
+      var self = this;
+      var deferred = _defer();
+
+      this.loadContent( function( error ) {
+        if ( error ) {
+          deferred.reject( error );
+        } else {
+          deferred.resolve( self );
+        }
+      }, function() {
+        return self.load();
+      } );
+      return deferred.promise;
+    },
+
+    /**
+     * Fetches the HTML of the `src` option into the content, with
+     * `Expandable.request`, unless it is cached. Sets the loading state
+     * meanwhile, and the error state and a `loaderror` event on failure.
+     *
+     * @param {Function} callback -
+     *   Called with the error, if any, once the content is loaded.
+     * @param {Function} retry -
+     *   Retries the failed action, passed to `loaderror` listeners.
+     */
+    loadContent: function loadContent( callback, retry ) {
+      var self = this;
+      var src = this.src;
+      var cache = Expandable.cache;
+
+      function done( error, html ) {
+        var callbacks = self.loadCallbacks;
+
+        // The Expandable may have been destroyed meanwhile.
+        if ( _getInstance( self.el ) !== self ) {
+          return;
+        }
+        self.loadCallbacks = [];
+        if ( error ) {
+          self.setLoadState( 'error' );
+          self.trigger( 'loaderror', undefined, undefined, {
+            error: error,
+            retry: retry || function() {
+              return self.load();
+            }
+          } );
+        } else {
+          self.content.innerHTML = html;
+          self.isLoaded = true;
+          self.setLoadState( null );
+          self.trigger( 'load' );
+        }
+        for ( var i = 0, len = callbacks.length; i < len; i++ ) {
+          callbacks[i].call( self, error );
+        }
+      }
+
+      if ( this.isLoaded ) {
+        if ( callback ) {
+          callback.call( this, null );
+        }
+        return;
+      }
+      if ( callback ) {
+        this.loadCallbacks.push( callback );
+      }
+      if ( this.isLoading ) {
+        return;
+      }
+      if ( cache.hasOwnProperty( src ) ) {
+        done( null, cache[src] );
+        return;
+      }
+      this.setLoadState( 'loading' );
+      Expandable.request( src, function( error, html ) {
+        if ( !error ) {
+          cache[src] = html;
+        }
+        done( error, html );
+      } );
+    },
+
+    /**
+     * Sets the classes and `aria-busy` attribute of the loading state.
+     *
+     * @param {string} state - 'loading', 'error' or null.
+     */
+    setLoadState: function setLoadState( state ) {
+      this.isLoading = state === 'loading';
+      _toggleClass( this.el, this.loadingClass, this.isLoading );
+      _toggleClass( this.el, this.errorClass, state === 'error' );
+      if ( this.isLoading ) {
+        this.content.setAttribute( 'aria-busy', 'true' );
+      } else {
+        this.content.removeAttribute( 'aria-busy' );
+      }
+    },
+
+    /**
+     * Shows the content of the collapsed Expandable while the page is
+     * printed, without changing its state, unless `expandOnPrint` is
+     * false, and hides it again afterwards.
+     *
+     * @param {boolean} isPrinting - Whether the page is being printed.
+     */
+    setPrinting: function setPrinting( isPrinting ) {
+      if ( isPrinting ) {
+        if ( !this.expandOnPrint || this.isShownForPrint ||
+             this.isExpanded || !this.isActive ) {
+          return;
+        }
+        this.finishAnimation();
+        this.isShownForPrint = true;
+        _show( this.content );
+      } else if ( this.isShownForPrint ) {
+        this.isShownForPrint = false;
+        if ( !this.isExpanded ) {
+          this.setState( false, 0 );
+        }
+      }
+    },
+
+    /**
+     * Returns whether expanding and collapsing happen without animation,
+     * as set by the `reduceMotion` option. 'auto' follows the
+     * `prefers-reduced-motion` media query.
+     *
+     * @returns {boolean} - True if animations are disabled.
+     */
+    isMotionReduced: function isMotionReduced() {
+      if ( this.reduceMotion === 'auto' ) {
+        return _prefersReducedMotion();
+      }
+      return Boolean( this.reduceMotion );
+    },
+
+    /**
+     * Returns the id used in the URL hash and to persist the state:
+     * the id of the Expandable or, failing that, the id its content
+     * had in the original markup.
+     *
+     * @returns {string} - The id, or undefined if there is none.
+     */
+    getStateId: function getStateId() {
+      return this.el.id || this.originalAttributes.content.id || undefined;
+    },
+
+    /**
+     * Returns the storage used to persist the state, as set by
+     * the `persist` option: 'session' for sessionStorage, 'local' or true
+     * for localStorage, or an object implementing `getItem` and `setItem`.
+     *
+     * @returns {object} - The storage, or null if the state isn't persisted.
+     */
+    getStorage: function getStorage() {
+      var persist = this.persist === true ? 'local' : this.persist;
+      try {
+        if ( persist === 'session' ) {
+          return window.sessionStorage;
+        } else if ( persist === 'local' ) {
+          return window.localStorage;
+        }
+      } catch ( err ) {
+        // Accessing the storage throws when it is disabled.
+        return null;
+      }
+      // Other values, such as unknown storage names, don't persist.
+      return persist && typeof persist === 'object' ? persist : null;
     },
 
     /**
-     * Creates and customizes the Expandable.
+     * Returns the key used to persist the state.
      *
-     * @param {object} options - Object used to customize the Expandable.
+     * @returns {string} - The key, or undefined if the Expandable has no id.
      */
-    create: function create( options ) {
-      var properties = _extend( true, {}, Expandable.defaultProperties,
-        options );
-
-      // Using $.extend to create an instance of the Expandable.
-      // Extending dom elements is generally bad and should be
-      // avoided but we are doing so to maintain backwards compatibility.
-      // `this` is referring to the dom element.
-      _extend( this, Expandable, properties );
-      this.init();
+    getStorageKey: function getStorageKey() {
+      var id = this.getStateId();
+      return id && 'expandable:' + window.location.pathname + '#' + id;
     },
 
     /**
-     * Sets the initial state for the Expandable.
+     * Persists the expanded state, if enabled.
      */
-    init: function init() {
-      this.isInAccordion =
-      Boolean( this.$el.parents( '.expandable-group' ).data( 'accordion' ) );
-      this.isExpanded = this.$el.hasClass( this.expandedClass );
-      this.initUI();
-      this.initEvents();
+    saveState: function saveState() {
+      var storage = this.getStorage();
+      var key = this.getStorageKey();
+      if ( storage && key ) {
+        try {
+          storage.setItem( key, String( this.isExpanded ) );
+        } catch ( err ) {
+          // Quota exceeded or storage disabled, the state isn't persisted.
+        }
+      }
     },
 
     /**
-     * Removes the dom element from the dom.
+     * Reads the persisted expanded state, if enabled.
+     *
+     * @returns {boolean} - The persisted state, or undefined if none.
      */
-    destroy: function destroy() {
-      if ( this.$el ) {
-        this.$el.remove();
+    loadState: function loadState() {
+      var storage = this.getStorage();
+      var key = this.getStorageKey();
+      var value = null;
+      if ( storage && key ) {
+        try {
+          value = storage.getItem( key );
+        } catch ( err ) {
+          // Storage disabled, there is no persisted state.
+        }
       }
+      return value === null ? undefined : value === 'true';
     },
 
     /**
-     * Initializes the initial state of the Expandable UI.
+     * Sets the internal state, aria attributes and expanded class,
+     * and animates the content to match. No events are triggered.
+     *
+     * @param {boolean} isExpanded - Whether the Expandable should be expanded.
+     * @param {integer} duration - The animation duration.
+     * @param {Function} callback -
+     *   Called in the context of the Expandable when the animation completes.
+     * @param {Function} onInterrupt -
+     *   Called in the context of the Expandable instead of the callback
+     *   when the state is changed back before the animation completes.
      */
-    initUI: function initUI() {
-      var $el = this.$el;
-
-      for ( var uiKey in this.ui ) {
-        if ( this.ui.hasOwnProperty( uiKey ) ) {
-          this['$' + uiKey] = $el.find( this.ui[uiKey] + ':first' );
-        }
+    setState: function setState( isExpanded, duration, callback,
+      onInterrupt ) {
+      var self = this;
+      var hasChanged = isExpanded !== this.isExpanded;
+
+      if ( !isExpanded ) {
+        this.expandedAt = 0;
+      } else if ( !this.expandedAt ) {
+        this.expandedAt = ++_expandCount;
       }
 
-      this.$target.attr( 'aria-controls', this.$content.attr( 'id' ) );
-      if ( this.isExpanded ) {
-        this.expand( 0 );
-      } else {
-        this.collapse( 0 );
+      // Inactive Expandables keep showing their content until active.
+      if ( !this.isActive ) {
+        this.isExpanded = isExpanded;
+        return;
+      }
+      this.target.setAttribute( 'aria-expanded', String( isExpanded ) );
+      _toggleClass( this.el, this.expandedClass, isExpanded );
+      this.isExpanded = isExpanded;
+      this.animate( isExpanded, duration, function() {
+        if ( callback ) {
+          callback.call( self );
+        }
+      }, function() {
+        if ( onInterrupt ) {
+          onInterrupt.call( self );
+        }
+      } );
+      if ( this.isInGroup ) {
+        this.group.update();
+        if ( hasChanged ) {
+          this.group.trigger( 'change', this );
+        }
       }
     },
 
     /**
-     * Initializes the Expandable dom events.
+     * Slides the content down or up. A running animation going the other
+     * way is interrupted and reversed from where it stopped, while one
+     * going the same way continues and completes both.
+     *
+     * @param {boolean} isExpanded - Whether the content should be shown.
+     * @param {integer} duration - The animation duration.
+     * @param {Function} callback - Called when the animation completes.
+     * @param {Function} onInterrupt -
+     *   Called instead of the callback when the animation is interrupted.
      */
-    initEvents: function initEvents() {
-      this.$el.on( 'click', '.expandable_target',
-        _throttle( this.throttleDuration, this.toggle, this )
-      );
+    animate: function animate( isExpanded, duration, callback, onInterrupt ) {
+      var current = this.currentAnimation;
+      var start;
+
+      if ( current && current.isRunning ) {
+        if ( current.isExpanded === isExpanded ) {
+          current.callbacks.push( callback );
+          current.onInterrupts.push( onInterrupt );
+          return;
+        }
+        current.isRunning = false;
+        start = current.slide.stop();
+        _callAll( current.onInterrupts );
+      }
+
+      current = this.currentAnimation = {
+        isExpanded:   isExpanded,
+        isRunning:    true,
+        callbacks:    [ callback ],
+        onInterrupts: [ onInterrupt ]
+      };
+      current.slide = _slide( this.content, isExpanded, {
+        duration:      duration,
+        easing:        Expandable.getEasing( this.easing ),
+        useTransition: this.animation === 'transition' &&
+                       _supportsTransitions(),
+        untilFound:    this.isUntilFound,
+        start:         start
+      }, function() {
+        current.isRunning = false;
+        _callAll( current.callbacks );
+      } );
     },
 
     /**
-     * Expands or collapses the Expandable.
-     *
-     * @param {object} event - jQuery event object.
+     * Completes the running animation, if any, immediately.
      */
-    toggle: function toggle( event ) {
-      event.preventDefault();
-      event.stopPropagation();
-
-      if ( this.isExpanded ) {
-        this.collapse();
-      } else {
-        if ( this.isInAccordion ) {
-          this.$el.siblings( '.expandable' )
-          .each( function( index, sibling ) {
-            sibling.collapse();
-          } );
-        }
-        this.expand();
+    finishAnimation: function finishAnimation() {
+      if ( this.currentAnimation && this.currentAnimation.isRunning ) {
+        this.currentAnimation.slide.finish();
       }
     },
 
     /**
-     * Expands the expandable, sets the internal state
-     * and adds aria attributes.
+     * Returns the height of the content, once expanded
+     * if it is animating.
      *
-     * @param {integer} duration -
-     *   The time duration in which the expansion will occur.
+     * @returns {integer} - The height in pixels.
      */
-    expand: function expand( duration ) {
-      var $content = this.$content;
-      this.$target.attr( 'aria-pressed', 'true' );
-      $content.attr( 'aria-expanded', 'true' );
-      if ( typeof duration === 'undefined' ) {
-        duration = $.fn.expandable.calculateExpandDuration( $content.height() );
-      }
-      this.$el.addClass( this.expandedClass );
-      $content.slideDown( {
-        duration: duration,
-        easing:   'easeOutExpo'
-      } );
-      this.isExpanded = true;
+    getContentHeight: function getContentHeight() {
+      var current = this.currentAnimation;
+      if ( current && current.isRunning ) {
+        return current.slide.full.height;
+      }
+      return _getHeight( this.content );
     },
 
     /**
-     * Collapses the expandable, sets the internal state
-     * and adds aria attributes.
+     * Dispatches a namespaced lifecycle event on the Expandable element.
+     * The Expandable, duration and source are available as properties of
+     * the event and of its `detail`.
      *
-     * @param {integer} duration -
-     *   The time duration in which the collapse will occur.
+     * @param {string} type - The event type without the `expandable:` prefix.
+     * @param {integer} duration - The animation duration.
+     * @param {string} source - What initiated the state change.
+     * @param {object} properties - Additional event properties.
+     * @returns {boolean} - False if a listener canceled the event.
      */
-    collapse: function collapse( duration ) {
-      var $content = this.$content;
-      this.$target.attr( 'aria-pressed', 'false' );
-      $content.attr( 'aria-expanded', 'false' );
-      if ( typeof duration === 'undefined' ) {
-        duration = $.fn.expandable.calculateCollapseDuration( $content.height() );
-      }
-      this.$el.removeClass( this.expandedClass );
-      $content.slideUp( {
-        duration: duration,
-        easing:   'easeOutExpo'
-      } );
-      this.isExpanded = false;
+    trigger: function trigger( type, duration, source, properties ) {
+      var detail = _extend( {
+        expandable: this,
+        duration:   duration,
+        source:     source
+      }, properties );
+      var event = _createEvent( 'expandable:' + type, detail );
+      _extend( event, detail );
+      return this.el.dispatchEvent( event );
+    }
+  };
+
+  /**
+   * Returns the Expandable of an element.
+   *
+   * @param {object} element - The .expandable dom element.
+   * @returns {object} - The Expandable, or undefined if not initialized.
+   */
+  Expandable.getInstance = _getInstance;
+
+  /**
+   * Easings by name, with the CSS timing function used by transitions and
+   * the equivalent function, from animation progress to eased progress,
+   * used by frame animations. Add to it to register custom easings.
+   */
+  Expandable.easings = {
+    easeOutExpo: {
+      css: 'cubic-bezier(0.19, 1, 0.22, 1)',
+      fn:  _easeOutExpo
+    },
+    swing: {
+      css: 'cubic-bezier(0.445, 0.05, 0.55, 0.95)',
+      fn:  function( progress ) {
+        return 0.5 - Math.cos( progress * Math.PI ) / 2;
+      }
+    },
+    linear: {
+      css: 'linear',
+      fn:  function( progress ) {
+        return progress;
+      }
     }
   };
 
-  // Expandable Plugin declarations.
+  /**
+   * Returns a registered easing, falling back to easeOutExpo.
+   *
+   * @param {string} name - The easing name.
+   * @returns {object} - The easing, with `css` and `fn` properties.
+   */
+  Expandable.getEasing = function getEasing( name ) {
+    var easings = Expandable.easings;
+    return easings.hasOwnProperty( name ) ? easings[name] :
+           easings.easeOutExpo || { css: 'ease-out', fn: _easeOutExpo };
+  };
 
   /**
-   * Instantiates the Expandable and configures
-   * the expandable options.
+   * HTML loaded for the `src` option, by URL.
+   * Delete an entry to load it again.
+   */
+  Expandable.cache = {};
+
+  /**
+   * Fetches the HTML of a URL for the `src` option. Replace it to
+   * customize requests, for example to add headers.
    *
-   * @param {object} options - Object used to customize the Expandable.
-   * @returns {object} - jQuery Object.
+   * @param {string} url - The URL to fetch.
+   * @param {Function} callback -
+   *   Called with an error, if the request fails, and the HTML.
+   */
+  Expandable.request = function request( url, callback ) {
+    var xhr = new window.XMLHttpRequest();
+
+    xhr.onreadystatechange = function() {
+      var error;
+
+      if ( xhr.readyState !== 4 ) {
+        return;
+      }
+      if ( xhr.status >= 200 && xhr.status < 300 ) {
+        callback( null, xhr.responseText );
+        return;
+      }
+      error = new Error( 'Failed to load ' + url );
+      error.type = 'load';
+      error.status = xhr.status;
+      callback( error );
+    };
+    xhr.open( 'GET', url );
+    xhr.send();
+  };
+
+  /**
+   * Opens the element targeted by the URL hash if it is inside one of
+   * the new Expandables. Targets elsewhere are left as they are, as they
+   * may have been collapsed since the page loaded.
+   *
+   * @param {Array} instances - The new Expandables.
+   */
+  function _openNewHash( instances ) {
+    var target = _getHashTarget( window.location.hash );
+
+    if ( !target ) {
+      return;
+    }
+    for ( var i = 0, len = instances.length; i < len; i++ ) {
+      if ( instances[i].el.contains( target ) ) {
+        Expandable.openHash();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Initializes the .expandable elements of a container, including the
+   * container itself, that aren't initialized yet.
+   *
+   * @param {object} container - The dom element. Defaults to the document.
+   * @param {object} options - Object used to customize the Expandables.
+   * @returns {Array} - The new Expandables.
+   */
+  function _initAll( container, options ) {
+    var elements = _findAll( container || document, '.expandable' );
+    var created = [];
+
+    for ( var i = 0, len = elements.length; i < len; i++ ) {
+      if ( !_getInstance( elements[i] ) ) {
+        created.push( new Expandable( elements[i], options ) );
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Initializes the .expandable elements of a container, including the
+   * container itself, that aren't initialized yet, and opens the URL hash
+   * target if they hide it.
+   *
+   * @param {object} container - The dom element. Defaults to the document.
+   * @param {object} options - Object used to customize the Expandables.
+   * @returns {Array} - The new Expandables.
+   */
+  Expandable.initAll = function initAll( container, options ) {
+    var created = _initAll( container, options );
+
+    // New Expandables may hide the element targeted by the URL hash.
+    _openNewHash( created );
+    return created;
+  };
+
+  /**
+   * Initializes the .expandable elements of a root element, and keeps
+   * watching it: expandables added later are initialized, opening the URL
+   * hash target if they hide it, and those removed from the document are
+   * destroyed.
+   *
+   * @param {object} root - The dom element. Defaults to the document.
+   * @param {object} options - Object used to customize the Expandables.
+   * @returns {object} -
+   *   The MutationObserver, call `disconnect()` to stop watching,
+   *   or null in browsers without MutationObserver.
    */
-  $.fn.expandable = function expandable( options ) {
-    return this.each( function() {
-      ( options || ( options = {} ) ).$el = $( this );
-      Expandable.create.call( this, options );
+  Expandable.observe = function observe( root, options ) {
+    var observer;
+
+    root = root || document;
+    Expandable.initAll( root, options );
+    if ( !window.MutationObserver ) {
+      return null;
+    }
+
+    function destroyAll( node ) {
+      var elements = _findAll( node, '.expandable' );
+      var instance;
+
+      for ( var i = 0, len = elements.length; i < len; i++ ) {
+        instance = _getInstance( elements[i] );
+        if ( instance ) {
+          instance.destroy();
+        }
+      }
+    }
+
+    observer = new window.MutationObserver( function( mutations ) {
+      var created = [];
+      var nodes;
+      var node;
+
+      for ( var i = 0, len = mutations.length; i < len; i++ ) {
+        // Moved nodes are removed and added again, and nodes may be
+        // removed right after being added, so check where they are now.
+        nodes = mutations[i].removedNodes;
+        for ( var j = 0; j < nodes.length; j++ ) {
+          node = nodes[j];
+          if ( node.nodeType === 1 && !_isAttached( node ) ) {
+            destroyAll( node );
+          }
+        }
+        nodes = mutations[i].addedNodes;
+        for ( var k = 0; k < nodes.length; k++ ) {
+          node = nodes[k];
+          if ( node.nodeType === 1 && _isAttached( node ) ) {
+            created = created.concat( _initAll( node, options ) );
+          }
+        }
+      }
+      // As with initAll, e.g. for a deep link into content loaded later.
+      _openNewHash( created );
     } );
+    observer.observe( root, { childList: true, subtree: true } );
+    return observer;
+  };
+
+  /**
+   * Expands the Expandables hiding the element targeted by a URL hash,
+   * including collapsed ancestor Expandables, and scrolls the element
+   * into view. The element may also be an Expandable itself.
+   *
+   * @param {string} hash -
+   *   The hash, including `#`. Defaults to the current URL hash.
+   * @returns {boolean} - True if any Expandable was expanded.
+   */
+  Expandable.openHash = function openHash( hash ) {
+    var target;
+    var element;
+    var instance;
+    var instances = [];
+
+    if ( typeof hash === 'undefined' ) {
+      hash = window.location.hash;
+    }
+    target = _getHashTarget( hash );
+    if ( !target ) {
+      return false;
+    }
+
+    // Collected from the closest one, then reversed so that
+    // ancestors are expanded first.
+    for ( element = target; element; element = element.parentNode ) {
+      instance = _getInstance( element );
+      if ( instance && !instance.isExpanded &&
+           ( element === target || instance.content.contains( target ) ) ) {
+        instances.unshift( instance );
+      }
+    }
+    if ( !instances.length ) {
+      return false;
+    }
+
+    for ( var i = 0; i < instances.length; i++ ) {
+      instances[i].expand( 0, 'hash' );
+    }
+    target.scrollIntoView();
+    return true;
+  };
+
+  /**
+   * Shows the content of every collapsed Expandable for printing,
+   * except those with `expandOnPrint` set to false.
+   * Called automatically before the page is printed.
+   */
+  Expandable.expandForPrint = function expandForPrint() {
+    var elements = document.querySelectorAll( '.expandable' );
+    var instance;
+
+    for ( var i = 0, len = elements.length; i < len; i++ ) {
+      instance = _getInstance( elements[i] );
+      if ( instance ) {
+        instance.setPrinting( true );
+      }
+    }
+  };
+
+  /**
+   * Hides the content shown by `expandForPrint` again.
+   * Called automatically after the page is printed.
+   */
+  Expandable.restoreAfterPrint = function restoreAfterPrint() {
+    var elements = document.querySelectorAll( '.expandable' );
+    var instance;
+
+    for ( var i = 0, len = elements.length; i < len; i++ ) {
+      instance = _getInstance( elements[i] );
+      if ( instance ) {
+        instance.setPrinting( false );
+      }
+    }
+  };
+
+  /**
+   * Expands every Expandable of an expandable group.
+   * See `ExpandableGroup#expandAll`.
+   *
+   * @param {object} group - The .expandable-group dom element.
+   * @param {integer} duration - The animation duration.
+   * @returns {object} - Promise, see `ExpandableGroup#expandAll`.
+   */
+  Expandable.expandAll = function expandAll( group, duration ) {
+    return _getGroup( group ).expandAll( duration );
+  };
+
+  /**
+   * Collapses every Expandable of an expandable group.
+   * See `ExpandableGroup#collapseAll`.
+   *
+   * @param {object} group - The .expandable-group dom element.
+   * @param {integer} duration - The animation duration.
+   * @returns {object} - Promise, see `ExpandableGroup#collapseAll`.
+   */
+  Expandable.collapseAll = function collapseAll( group, duration ) {
+    return _getGroup( group ).collapseAll( duration );
   };
 
+  Expandable.Group = ExpandableGroup;
+
   /**
    * Returns the expand duration based on height parameter
    * and internal min/max values.
@@ -429,9 +3009,9 @@ module.exports = function(grunt) {
    * @param {integer} height - The height of an element.
    * @returns {integer} - The constrained time duration.
    */
-  $.fn.expandable.calculateExpandDuration =
+  Expandable.calculateExpandDuration =
   function calculateExpandDuration( height ) {
-    return $.fn.expandable.constrainValue( 450, 900, height * 4 );
+    return Expandable.constrainValue( 450, 900, height * 4 );
   };
 
   /**
@@ -441,9 +3021,9 @@ module.exports = function(grunt) {
    * @param {integer} height - The height of an element.
    * @returns {integer} - The constrained time duration.
    */
-  $.fn.expandable.calculateCollapseDuration =
+  Expandable.calculateCollapseDuration =
   function calculateCollapseDuration( height ) {
-    return $.fn.expandable.constrainValue( 350, 900, height * 2 );
+    return Expandable.constrainValue( 350, 900, height * 2 );
   };
 
   /**
@@ -454,8 +3034,7 @@ module.exports = function(grunt) {
    * @param {integer} duration - The time duration you want to constrain.
    * @returns {integer} - The constrained time duration.
    */
-  $.fn.expandable.constrainValue =
-  function constrainValue( min, max, duration ) {
+  Expandable.constrainValue = function constrainValue( min, max, duration ) {
     if ( duration > max ) {
       duration = max;
     } else if ( duration < min ) {
@@ -464,7 +3043,297 @@ module.exports = function(grunt) {
     return duration;
   };
 
-  // Expandable Plugin initialization.
-  $( '.expandable' ).expandable();
+  // jQuery adapter.
+
+  /**
+   * Registers `$.fn.expandable`, a jQuery plugin wrapping Expandable.
+   * Called automatically when jQuery is loaded before this script.
+   *
+   * @param {Function} $ - jQuery.
+   */
+  Expandable.registerJQueryPlugin = function registerJQueryPlugin( $ ) {
+    var eventProps = [
+      'expandable',
+      'duration',
+      'source',
+      'error',
+      'retry',
+      'group'
+    ];
+    var eventTypes = [
+      'beforeexpand',
+      'afterexpand',
+      'beforecollapse',
+      'aftercollapse',
+      'load',
+      'loaderror'
+    ];
+
+    // Methods returning promises, which the plugin doesn't return so that
+    // calls can be chained.
+    var actions = [ 'expand', 'collapse', 'toggle', 'load' ];
+    var i;
+
+    _jQuery = $;
+
+    /**
+     * Calls an Expandable method, or reads an Expandable property,
+     * on every element of a jQuery object.
+     *
+     * @param {object} $elements - jQuery object of initialized Expandables.
+     * @param {string} name - The method or property name.
+     * @param {Array} args - The arguments passed to the method.
+     * @returns {*} - The first value returned by a getter,
+     *   otherwise the jQuery object.
+     */
+    function callMethod( $elements, name, args ) {
+      var returnValue = $elements;
+
+      if ( $.inArray( name, $.fn.expandable.methods ) === -1 ) {
+        $.error( 'No such expandable method: "' + name + '"' );
+      }
+
+      $elements.each( function() {
+        var instance = _getInstance( this );
+        var value;
+
+        if ( !instance ) {
+          $.error( 'Cannot call expandable method "' + name +
+                   '" prior to initialization' );
+        }
+        value = name === 'instance' ? instance : instance[name];
+        if ( typeof value === 'function' ) {
+          value = value.apply( instance, args );
+        }
+        if ( typeof value !== 'undefined' &&
+             $.inArray( name, actions ) === -1 ) {
+          returnValue = value;
+          return false;
+        }
+      } );
+
+      return returnValue;
+    }
+
+    /**
+     * Instantiates the Expandable and configures
+     * the expandable options. Elements that are already initialized
+     * are skipped, or re-configured when options are passed.
+     *
+     * @param {object} options - Object used to customize the Expandable.
+     * @returns {object} - jQuery Object.
+     */
+    $.fn.expandable = function expandable( options ) {
+      var created = [];
+
+      if ( typeof options === 'string' ) {
+        return callMethod( this, options,
+          Array.prototype.slice.call( arguments, 1 ) );
+      }
+
+      this.each( function() {
+        var instance = _getInstance( this );
+        if ( instance ) {
+          if ( options && !$.isEmptyObject( options ) ) {
+            instance.configure( options );
+          }
+          return;
+        }
+        created.push( new Expandable( this, options ) );
+      } );
+
+      // New Expandables may hide the element targeted by the URL hash.
+      _openNewHash( created );
+      return this;
+    };
+
+    /**
+     * Methods and properties available through
+     * `$( selector ).expandable( 'name', arguments... )`.
+     */
+    $.fn.expandable.methods = [
+      'expand',
+      'collapse',
+      'toggle',
+      'load',
+      'disable',
+      'enable',
+      'option',
+      'destroy',
+      'removeElement',
+      'isExpanded',
+      'isDisabled',
+      'instance'
+    ];
+
+    /**
+     * Returns whether an element has been initialized as an Expandable.
+     *
+     * @param {object} element - Dom element or jQuery object.
+     * @returns {boolean} - True if the element is initialized.
+     */
+    $.fn.expandable.isInitialized = function isInitialized( element ) {
+      return Boolean( _getInstance( $( element ).get( 0 ) ) );
+    };
+
+    /**
+     * Expands every Expandable of an expandable group.
+     *
+     * @param {object} group -
+     *   The .expandable-group dom element or jQuery object.
+     * @param {integer} duration - The animation duration.
+     * @returns {object} - Promise, see `Expandable.expandAll`.
+     */
+    $.fn.expandable.expandAll = function expandAll( group, duration ) {
+      return Expandable.expandAll( $( group ).get( 0 ), duration );
+    };
+
+    /**
+     * Collapses every Expandable of an expandable group.
+     *
+     * @param {object} group -
+     *   The .expandable-group dom element or jQuery object.
+     * @param {integer} duration - The animation duration.
+     * @returns {object} - Promise, see `Expandable.collapseAll`.
+     */
+    $.fn.expandable.collapseAll = function collapseAll( group, duration ) {
+      return Expandable.collapseAll( $( group ).get( 0 ), duration );
+    };
+
+    /**
+     * Initializes the expandables of a root element and keeps watching it.
+     *
+     * @param {object} root - The dom element or jQuery object.
+     * @param {object} options - Object used to customize the Expandables.
+     * @returns {object} - The observer, see `Expandable.observe`.
+     */
+    $.fn.expandable.observe = function observe( root, options ) {
+      return Expandable.observe( $( root ).get( 0 ), options );
+    };
+
+    $.fn.expandable.Constructor = Expandable;
+    $.fn.expandable.Group = ExpandableGroup;
+    $.fn.expandable.defaults = Expandable.defaults;
+    $.fn.expandable.openHash = Expandable.openHash;
+
+    /**
+     * Duration calculations used by every Expandable, which can be
+     * overridden here or on `Expandable`.
+     *
+     * @param {integer} height - The height of the content.
+     * @returns {integer} - The animation duration.
+     */
+    $.fn.expandable.calculateExpandDuration =
+    function calculateExpandDuration( height ) {
+      return Expandable.calculateExpandDuration( height );
+    };
+    $.fn.expandable.calculateCollapseDuration =
+    function calculateCollapseDuration( height ) {
+      return Expandable.calculateCollapseDuration( height );
+    };
+
+    $.fn.expandable.constrainValue = Expandable.constrainValue;
+
+    // Copy the Expandable, duration and source onto jQuery event objects.
+    if ( $.event.addProp ) {
+      for ( i = 0; i < eventProps.length; i++ ) {
+        $.event.addProp( eventProps[i], true );
+      }
+    } else {
+      for ( i = 0; i < eventTypes.length; i++ ) {
+        $.event.fixHooks['expandable:' + eventTypes[i]] = {
+          props: eventProps
+        };
+      }
+      $.event.fixHooks['expandable-group:change'] = { props: eventProps };
+    }
+  };
+
+  // Expandable initialization.
+  // A `window.cfExpandables` object set before this script loads can
+  // disable the auto-initialization with `autoInit: false` and
+  // customize it by passing `defaults`.
+  var config = _extend( { autoInit: true, observe: false },
+    window.cfExpandables );
+  var printQuery;
+  _extend( Expandable.defaults, config.defaults );
+
+  if ( window.jQuery ) {
+    Expandable.registerJQueryPlugin( window.jQuery );
+  }
+
+  if ( document ) {
+    if ( config.observe ) {
+      Expandable.observe( typeof config.observe === 'string' ?
+        document.querySelector( config.observe ) : document );
+    } else if ( config.autoInit ) {
+      Expandable.initAll( document );
+    }
+
+    window.addEventListener( 'hashchange', function() {
+      Expandable.openHash();
+    } );
+
+    // Collapsed content is shown while printing. The print media query
+    // covers browsers without print events.
+    window.addEventListener( 'beforeprint', function() {
+      Expandable.expandForPrint();
+    } );
+    window.addEventListener( 'afterprint', function() {
+      Expandable.restoreAfterPrint();
+    } );
+    if ( window.matchMedia ) {
+      printQuery = window.matchMedia( 'print' );
+      _addMediaListener( printQuery, function() {
+        if ( printQuery.matches ) {
+          Expandable.expandForPrint();
+        } else {
+          Expandable.restoreAfterPrint();
+        }
+      } );
+    }
+
+    // Group filters, e.g. `<input data-expandable-filter="#faq">`,
+    // or without a selector inside the group.
+    _addListener( _jQuery, document, 'input', function( event ) {
+      var input = event.target;
+      var selector;
+      var group;
+
+      if ( !_matches( input, '[data-expandable-filter]' ) ) {
+        return;
+      }
+      selector = input.getAttribute( 'data-expandable-filter' );
+      group = selector ? document.querySelector( selector ) :
+              _closest( input, '.expandable-group' );
+      if ( group ) {
+        _getGroup( group ).filter( input.value );
+      }
+    } );
+
+    // Expandable group controls, e.g.
+    // `<button data-expandable-group-action="expand-all">`.
+    _addListener( _jQuery, document, 'click', function( event ) {
+      var action = _closest( event.target, '[data-expandable-group-action]' );
+      var group = action && _closest( action, '.expandable-group' );
+      var name;
+
+      if ( !group ) {
+        return;
+      }
+      name = _getData( action, 'expandable-group-action' );
+      event.preventDefault();
+      if ( name === 'toggle-all' ) {
+        name = action.getAttribute( 'aria-expanded' ) === 'true' ?
+               'collapse-all' : 'expand-all';
+      }
+      if ( name === 'expand-all' ) {
+        Expandable.expandAll( group );
+      } else if ( name === 'collapse-all' ) {
+        Expandable.collapseAll( group );
+      }
+    } );
+  }
 
-} )( window.jQuery );
+  return Expandable;
+} );
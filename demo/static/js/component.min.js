@@ -14,4 +14,4 @@
  *  https://github.com/cfpb/cf-expandables
  *  A public domain work of the Consumer Financial Protection Bureau
  */
-module.exports=function(a){"use strict";function b(b){var c,d=require("glob"),e={};return d.sync("*",{cwd:b}).forEach(function(d){c=d.replace(/\.js$/,""),e[c]=require(b+d),a.verbose.writeln("External config item - "+c)}),e}require("time-grunt")(a);var c=(require("path"),require("node.extend"));require("jit-grunt")(a,{bower:"grunt-bower-task"})({pluginsRoot:"node_modules/cf-grunt-config/node_modules"});var d={pkg:a.file.readJSON("bower.json"),env:process.env,opt:{html5Shiv:!0,banner:a.file.read("./node_modules/cf-grunt-config/cfpb-banner.txt")},less:{core:{options:{paths:a.file.expand("src/**"),sourceMap:!0},files:{"demo/static/css/main.css":["src/cf-core.less"]}}}};d=c(!0,b("./node_modules/cf-grunt-config/tasks/options/"),d),a.initConfig(d),require("load-grunt-tasks")(a),a.registerTask("vendor",["copy:component_assets","copy:docs_assets"]),a.registerTask("default",["less:core","autoprefixer","copy:docs","topdoc"])},module.exports=function(a){"use strict";function b(b){var c,d=require("glob"),e={};return d.sync("*",{cwd:b}).forEach(function(d){c=d.replace(/\.js$/,""),e[c]=require(b+d),a.verbose.writeln("External config item - "+c+": "+e[c])}),e}require("time-grunt")(a);var c=(require("path"),require("node.extend"));require("jit-grunt")(a,{bower:"grunt-bower-task"})({pluginsRoot:"node_modules/cf-grunt-config/node_modules"});var d={pkg:a.file.readJSON("bower.json"),env:process.env,opt:{html5Shiv:!0,ie8FontFaceHack:!0,banner:a.file.read("./node_modules/cf-grunt-config/cfpb-banner.txt")}};d=c(!0,b("./node_modules/cf-grunt-config/tasks/options/"),d),a.initConfig(d),require("load-grunt-tasks")(a),a.registerTask("vendor",["copy:component_assets","copy:docs_assets"]),a.registerTask("default",["less","autoprefixer","copy:docs","topdoc"])},function(a){"use strict";function b(a,b,c){var d=!1;return function(e){d!==!0&&(d=!0,b.call(c,e),window.setTimeout(function(){d=!1},a))}}var c=a.extend,d={defaultProperties:{isInAccordion:!1,expandedClass:"expandable__expanded",throttleDuration:450},ui:{content:".expandable_content",target:".expandable_target"},create:function(a){var b=c(!0,{},d.defaultProperties,a);c(this,d,b),this.init()},init:function(){this.isInAccordion=Boolean(this.$el.parents(".expandable-group").data("accordion")),this.isExpanded=this.$el.hasClass(this.expandedClass),this.initUI(),this.initEvents()},destroy:function(){this.$el&&this.$el.remove()},initUI:function(){var a=this.$el;for(var b in this.ui)this.ui.hasOwnProperty(b)&&(this["$"+b]=a.find(this.ui[b]+":first"));this.$target.attr("aria-controls",this.$content.attr("id")),this.isExpanded?this.expand(0):this.collapse(0)},initEvents:function(){this.$el.on("click",".expandable_target",b(this.throttleDuration,this.toggle,this))},toggle:function(a){a.preventDefault(),a.stopPropagation(),this.isExpanded?this.collapse():(this.isInAccordion&&this.$el.siblings(".expandable").each(function(a,b){b.collapse()}),this.expand())},expand:function(b){var c=this.$content;this.$target.attr("aria-pressed","true"),c.attr("aria-expanded","true"),"undefined"==typeof b&&(b=a.fn.expandable.calculateExpandDuration(c.height())),this.$el.addClass(this.expandedClass),c.slideDown({duration:b,easing:"easeOutExpo"}),this.isExpanded=!0},collapse:function(b){var c=this.$content;this.$target.attr("aria-pressed","false"),c.attr("aria-expanded","false"),"undefined"==typeof b&&(b=a.fn.expandable.calculateCollapseDuration(c.height())),this.$el.removeClass(this.expandedClass),c.slideUp({duration:b,easing:"easeOutExpo"}),this.isExpanded=!1}};a.fn.expandable=function(b){return this.each(function(){(b||(b={})).$el=a(this),d.create.call(this,b)})},a.fn.expandable.calculateExpandDuration=function(b){return a.fn.expandable.constrainValue(450,900,4*b)},a.fn.expandable.calculateCollapseDuration=function(b){return a.fn.expandable.constrainValue(350,900,2*b)},a.fn.expandable.constrainValue=function(a,b,c){return c>b?c=b:a>c&&(c=a),c},a(".expandable").expandable()}(window.jQuery);
\ No newline at end of file
+module.exports=function(a){"use strict";function b(b){var c,d=require("glob"),e={};return d.sync("*",{cwd:b}).forEach(function(d){c=d.replace(/\.js$/,""),e[c]=require(b+d),a.verbose.writeln("External config item - "+c)}),e}require("time-grunt")(a);var c=(require("path"),require("node.extend"));require("jit-grunt")(a,{bower:"grunt-bower-task"})({pluginsRoot:"node_modules/cf-grunt-config/node_modules"});var d={pkg:a.file.readJSON("bower.json"),env:process.env,opt:{html5Shiv:!0,banner:a.file.read("./node_modules/cf-grunt-config/cfpb-banner.txt")},less:{core:{options:{paths:a.file.expand("src/**"),sourceMap:!0},files:{"demo/static/css/main.css":["src/cf-core.less"]}}}};d=c(!0,b("./node_modules/cf-grunt-config/tasks/options/"),d),a.initConfig(d),require("load-grunt-tasks")(a),a.registerTask("vendor",["copy:component_assets","copy:docs_assets"]),a.registerTask("default",["less:core","autoprefixer","copy:docs","topdoc"])},module.exports=function(a){"use strict";function b(b){var c,d=require("glob"),e={};return d.sync("*",{cwd:b}).forEach(function(d){c=d.replace(/\.js$/,""),e[c]=require(b+d),a.verbose.writeln("External config item - "+c+": "+e[c])}),e}require("time-grunt")(a);var c=(require("path"),require("node.extend"));require("jit-grunt")(a,{bower:"grunt-bower-task"})({pluginsRoot:"node_modules/cf-grunt-config/node_modules"});var d={pkg:a.file.readJSON("bower.json"),env:process.env,opt:{html5Shiv:!0,ie8FontFaceHack:!0,banner:a.file.read("./node_modules/cf-grunt-config/cfpb-banner.txt")}};d=c(!0,b("./node_modules/cf-grunt-config/tasks/options/"),d),a.initConfig(d),require("load-grunt-tasks")(a),a.registerTask("vendor",["copy:component_assets","copy:docs_assets"]),a.registerTask("default",["less","autoprefixer","copy:docs","topdoc"])},function(a,b){"use strict";"function"==typeof define&&define.amd?define([],function(){return b(a)}):"object"==typeof module&&module.exports?module.exports=b(a):a.Expandable=b(a)}("undefined"==typeof window?this:window,function(a){"use strict";function b(a){for(var b,c=1,d=arguments.length;d>c;c++){b=arguments[c];for(var e in b)b.hasOwnProperty(e)&&(a[e]=b[e])}return a}function c(b,c,d){var e=!1;return function(f){e!==!0&&(e=!0,c.call(d,f),a.setTimeout(function(){e=!1},b))}}function d(a){for(var b=0,c=a.length;c>b;b++)a[b]()}function e(a,b){var c=a.matches||a.msMatchesSelector||a.webkitMatchesSelector;return c.call(a,b)}function f(a,b,c){for(;a&&1===a.nodeType&&a!==c;){if(e(a,b))return a;a=a.parentNode}return null}function g(a,b){var c=[],d=a.querySelectorAll(b);1===a.nodeType&&e(a,b)&&c.push(a);for(var f=0,g=d.length;g>f;f++)c.push(d[f]);return c}function h(a,b){for(var c=$.createTreeWalker(a,4,null,!1),d=[];c.nextNode();)b&&f(c.currentNode.parentNode,b,a)||d.push(c.currentNode);return d}function i(a,b){for(var c=h(a,b),d="",e=0;e<c.length;e++)d+=c[e].data;return d}function j(a,b,c,d){for(var e,f,g,i,j=h(a,d),k=0;k<j.length;k++)for(e=j[k],i=e.data.toLowerCase().indexOf(b);-1!==i;)f=e.splitText(i),e=f.splitText(b.length),g=$.createElement("mark"),g.className=c,f.parentNode.replaceChild(g,f),g.appendChild(f),i=e.data.toLowerCase().indexOf(b)}function k(a,b){for(var c,d=a.querySelectorAll("mark."+b),e=0,f=d.length;f>e;e++){for(c=d[e].parentNode;d[e].firstChild;)c.insertBefore(d[e].firstChild,d[e]);c.removeChild(d[e]),c.normalize()}}function l(a){var b=a.ownerDocument&&a.ownerDocument.documentElement;return Boolean(b)&&(b===a||b.contains(a))}function m(a,b,c){var d=(" "+a.className+" ").replace(" "+b+" "," ");c&&(d+=b),a.className=d.replace(/^\s+|\s+$/g,"")}function n(a,b){return-1!==(" "+a.className+" ").indexOf(" "+b+" ")}function o(a,b){var c=a?a.getAttribute("data-"+b):null;return null===c?void 0:"true"===c||"false"===c||"null"===c?JSON.parse(c):""===c||isNaN(c)?c:Number(c)}function p(a,b){return a.id||(a.id="expandable-"+ ++_+"_"+b),a.id}function q(a,b){for(var c={},d=0,e=b.length;e>d;d++)c[b[d]]=a.getAttribute(b[d]);return c}function r(a,b){for(var c in b)b.hasOwnProperty(c)&&(null===b[c]?a.removeAttribute(c):a.setAttribute(c,b[c]))}function s(b,c){var d;return"function"==typeof a.CustomEvent?d=new a.CustomEvent(b,{bubbles:!0,cancelable:!0,detail:c}):(d=$.createEvent("CustomEvent"),d.initCustomEvent(b,!0,!0,c)),d}function t(){var b,c={resolve:function(){},reject:function(){}},d=bb||a.jQuery;return"function"==typeof a.Promise?(c.promise=new a.Promise(function(a,b){c.resolve=a,c.reject=b}),c.promise["catch"](function(){})):d&&d.Deferred&&(b=d.Deferred(),c.promise=b.promise(),c.resolve=b.resolve,c.reject=b.reject),c}function u(a){function b(a){return function(b){d[a]=b,e-=1,0===e&&c.resolve(d)}}var c=t(),d=[],e=a.length;if(c.promise&&0!==e)for(var f=0,g=a.length;g>f;f++)a[f].then(b(f),c.reject);else c.resolve(d);return c.promise}function v(a,b){var c=new Error("The "+b+" was "+a);return c.type=a,c}function w(b){var c=a.location;"undefined"!=typeof b&&a.history&&a.history.replaceState&&a.history.replaceState(a.history.state,"",b?"#"+b:c.pathname+c.search)}function x(a){try{return $.getElementById(decodeURIComponent(a.slice(1)))}catch(b){return null}}function y(b){return b.hasAttribute("hidden")||"none"===a.getComputedStyle(b).display}function z(a){a.removeAttribute("hidden"),a.style.display="",y(a)&&(a.style.display="block")}function A(a){var b,c=a.style.display,d=a.getAttribute("hidden");return y(a)?(z(a),b=a.offsetHeight,a.style.display=c,null!==d&&a.setAttribute("hidden",d),b):a.offsetHeight}function B(a){return 1===a?1:1-Math.pow(2,-10*a)}function C(){return Boolean(a.matchMedia&&a.matchMedia("(prefers-reduced-motion: reduce)").matches)}function D(a,b,c,d){a?a(b).on(c,d):b.addEventListener(c,d)}function E(a,b,c,d){a?a(b).off(c,d):b.removeEventListener(c,d)}function F(a,b){a.addEventListener?a.addEventListener("change",b):a.addListener(b)}function G(a,b){a.removeEventListener?a.removeEventListener("change",b):a.removeListener(b)}function H(){return"function"==typeof a.HTMLElement&&"onbeforematch"in a.HTMLElement.prototype}function I(){return Boolean($)&&"transition"in $.documentElement.style}function J(b){return a.requestAnimationFrame?a.requestAnimationFrame(b):a.setTimeout(b,13)}function K(b){a.cancelAnimationFrame?a.cancelAnimationFrame(b):a.clearTimeout(b)}function L(a){return"number"==typeof a&&a>0}function M(a){return a.replace(/[A-Z]/g,"-$&").toLowerCase()}function N(a,b,c){c?a.style[b]=c:a.style.removeProperty(M(b))}function O(b,c,d,e){function f(){A=!0,K(m),a.clearTimeout(n),b.removeEventListener("transitionend",j)}function g(){if(!A){f();for(o in t)t.hasOwnProperty(o)&&N(b,o,t[o]);c?y(b)&&z(b):d.untilFound?b.setAttribute("hidden","until-found"):q.display="none",e()}}function h(){var c={};k=a.getComputedStyle(b),f();for(o in w)w.hasOwnProperty(o)&&(c[o]=parseFloat(k[o])||0);q.transition="none";for(o in c)c.hasOwnProperty(o)&&(q[o]=c[o]+"px");return{inline:t,full:u,values:c}}function i(){var a=Math.min(1,(new Date-l)/s),b=d.easing.fn(a);for(o in w)w.hasOwnProperty(o)&&(q[o]=v[o]+(w[o]-v[o])*b+"px");1>a?m=J(i):g()}var j,k,l,m,n,o,p,q=b.style,r=d.start,s=d.duration,t=r?r.inline:{},u=r?r.full:{},v=r?r.values:{},w={},x=[],A=!1;if(j=function(a){a.target===b&&"height"===a.propertyName&&g()},!r){if(c!==y(b)||!L(s))return g(),{finish:g,stop:h,full:u};for(c&&z(b),k=a.getComputedStyle(b),t.overflow=q.overflow,t.transition=q.transition,p=0;p<db.length;p++)o=db[p],t[o]=q[o],u[o]=parseFloat(k[o])||0,v[o]=c?0:u[o]}for(o in u)u.hasOwnProperty(o)&&(w[o]=c?u[o]:0);if(r&&(s=u.height>0?s*Math.abs(w.height-v.height)/u.height:0),!L(s))return g(),{finish:g,stop:h,full:u};for(o in v)v.hasOwnProperty(o)&&(q[o]=v[o]+"px",x.push(M(o)+" "+s+"ms "+d.easing.css));if(q.overflow="hidden",d.useTransition){void b.offsetHeight,q.transition=x.join(", ");for(o in w)w.hasOwnProperty(o)&&(q[o]=w[o]+"px");b.addEventListener("transitionend",j),n=a.setTimeout(g,s+50)}else l=new Date,m=J(i);return{finish:g,stop:h,full:u}}function P(b){var c="function"==typeof a.WeakMap?new a.WeakMap:null;return{get:function(a){return a?c?c.get(a):a[b]:void 0},set:function(a,d){c?d?c.set(a,d):c["delete"](a):d?a[b]=d:delete a[b]}}}function Q(a){return eb.get(a)}function R(a){for(;a&&!Q(a);)a=a.parentNode;return Q(a)}function S(a,b){eb.set(a,b)}function T(a,b){this.create(a,b)}function U(a){var b=f(a.parentNode,".expandable-group"),c=f(a.parentNode,".expandable");return b&&c&&b.contains(c)?null:b}function V(a){return T.getInstance(a)||new T(a)}function W(a,b){this.create(a,b)}function X(a,b){var c=bb&&bb.fn.expandable;return c&&"function"==typeof c[a]?c[a](b):W[a](b)}function Y(b){var c=x(a.location.hash);if(c)for(var d=0,e=b.length;e>d;d++)if(b[d].el.contains(c))return void W.openHash()}function Z(a,b){for(var c=g(a||$,".expandable"),d=[],e=0,f=c.length;f>e;e++)Q(c[e])||d.push(new W(c[e],b));return d}a=a||{};var $=a.document,_=0,ab=0,bb=null,cb={ENTER:13,SPACE:32,END:35,HOME:36,UP:38,DOWN:40},db=["height","paddingTop","paddingBottom","marginTop","marginBottom"],eb=P("cfExpandable"),fb=P("cfExpandableGroup");T.defaults={accordion:!1,accordionMin:0,accordionMax:1,highlightClass:"expandable_highlight",noResultsClass:"expandable-group__no-results",cueSelector:".expandable_cue-open, .expandable_cue-close"},T.getInstance=function(a){return fb.get(a)},T.prototype={constructor:T,dataOptions:{accordion:"accordion",accordionMin:"accordion-min",accordionMax:"accordion-max"},create:function(a,c){var d,e,f,g=b({},T.defaults,c);for(var h in this.dataOptions)this.dataOptions.hasOwnProperty(h)&&(f=o(a,this.dataOptions[h]),"undefined"!=typeof f&&(g[h]=f));if(g.accordion=Boolean(g.accordion),this.properties=g,b(this,g),this.el=a,d=fb.get(a),fb.set(a,this),d){e=d.getMembers();for(var i=0;i<e.length;i++)e[i].group=this,e[i].isInAccordion=this.accordion;this.update()}},option:function(a,c){var d,e={};if("undefined"==typeof a)return b({},this.properties);if("string"==typeof a){if("undefined"==typeof c)return this.properties[a];e[a]=c}else e=a;b(this.properties,e),b(this,e),d=this.getMembers();for(var f=0;f<d.length;f++)d[f].isInAccordion=Boolean(this.accordion);this.update()},getMembers:function(){for(var a,b=this.el.querySelectorAll(".expandable"),c=[],d=0,e=b.length;e>d;d++)a=Q(b[d]),a&&a.group===this&&c.push(a);return c},getItem:function(a){for(var b=a.el;b.parentNode&&b.parentNode!==this.el;)b=b.parentNode;return b},getExpanded:function(){for(var a=this.getMembers(),b=[],c=0;c<a.length;c++)a[c].isExpanded&&b.push(a[c]);return b},expandAll:function(a){var b,c=this.getMembers(),d=[];if(this.accordion)return b=t(),b.reject(v("canceled","expand")),b.promise;for(var e=0;e<c.length;e++)!c[e].isActive||c[e].isDisabled||c[e].isExpanded||d.push(c[e].expand(a,"group"));return u(d)},collapseAll:function(a){for(var b=this.getMembers(),c=[],d=0;d<b.length;d++)b[d].isActive&&!b[d].isDisabled&&b[d].isExpanded&&c.push(b[d].collapse(a,"group"));return u(c)},openOnly:function(a,b){var c,d=this.getMembers(),e=d[a],f=[];if(!e)return c=t(),c.reject(v("canceled","expand")),c.promise;e.isExpanded||f.push(e.expand(b,"group"));for(var g=0;g<d.length;g++)d[g]!==e&&d[g].isActive&&!d[g].isDisabled&&d[g].isExpanded&&f.push(d[g].collapse(b,"group"));return u(f)},filter:function(a){var b,c,d,e,f=this.getMembers(),g=[],h=this.el.querySelector("[data-expandable-filter-empty]");if(a=String(a||"").replace(/^\s+|\s+$/g,"").toLowerCase(),a&&!this.filterStates)for(this.filterStates=[],e=0;e<f.length;e++)this.filterStates.push({member:f[e],isExpanded:f[e].isExpanded});for(e=0;e<f.length;e++)b=f[e],c=b.target.querySelector(".expandable_label")||b.target,k(c,this.highlightClass),k(b.content,this.highlightClass),d=Boolean(a)&&-1!==b.content.textContent.toLowerCase().indexOf(a),b.isFilteredOut=Boolean(a)&&!d&&-1===i(c,this.cueSelector).toLowerCase().indexOf(a),b.isFilteredOut?this.getItem(b).setAttribute("hidden",""):g.push(b),a&&(j(c,a,this.highlightClass,this.cueSelector),j(b.content,a,this.highlightClass)),d&&!b.isExpanded&&b.isActive&&!b.isDisabled&&b.expand(0,"filter");for(e=0;e<g.length;e++)this.getItem(g[e]).removeAttribute("hidden");return m(this.el,this.noResultsClass,!g.length),h&&(h.hidden=g.length>0),a||this.restoreFilterStates(),g},restoreFilterStates:function(){var a,b=this.filterStates||[];this.filterStates=null;for(var c=0;c<b.length;c++)a=b[c].member,Q(a.el)!==a||a.isDisabled||a.isExpanded===b[c].isExpanded||(b[c].isExpanded?a.expand(0,"filter"):a.collapse(0,"filter"))},update:function(){var a,b,c,d=this.getMembers(),e=d.length>0,g=[],h=this.el.querySelectorAll("[data-expandable-group-action]");for(c=0;c<d.length;c++)d[c].isActive&&!d[c].isDisabled&&(e=e&&d[c].isExpanded,g.push(d[c].content.id));for(c=0;c<h.length;c++)a=h[c],b=o(a,"expandable-group-action"),f(a,".expandable-group")===this.el&&(a.setAttribute("aria-controls",g.join(" ")),a.setAttribute("aria-expanded",String(e)),this.accordion&&"collapse-all"!==b?a.setAttribute("aria-disabled","true"):a.removeAttribute("aria-disabled"),"toggle-all"===b&&(a.textContent=e?o(a,"collapse-label")||"Collapse all":o(a,"expand-label")||"Expand all"))},trigger:function(a,c){var d={group:this,expandable:c},e=s("expandable-group:"+a,d);return b(e,d),this.el.dispatchEvent(e)}},W.defaults={isInAccordion:!1,expandedClass:"expandable__expanded",throttleDuration:0,extendElement:!0,updateHash:!1,persist:!1,animation:"transition",easing:"easeOutExpo",reduceMotion:"auto",src:null,loadingClass:"expandable__loading",errorClass:"expandable__error",media:null,inactiveClass:"expandable__inactive",disabledClass:"expandable__disabled",hiddenUntilFound:!1,expandOnPrint:!0},W.prototype={constructor:W,ui:{content:".expandable_content",target:".expandable_target"},uiAttributes:{content:["id","role","aria-labelledby","aria-busy","hidden","style"],target:["id","role","tabindex","aria-controls","aria-expanded","aria-disabled"]},elementMethods:["expand","collapse","toggle"],create:function(a,c){var d=b({},W.defaults,c);b(this,d),this.properties=d,this.el=a,S(a,this),this.init()},configure:function(a){var c=this.isExpanded,d=this.isDisabled,e=b({},this.properties,a);this.destroy(),this.create(this.el,e),this.isExpanded!==c&&this.setState(c,0),this.setDisabled(d)},init:function(){var a=U(this.el);this.group=a?V(a):null,this.isInGroup=null!==this.group,this.isInAccordion=this.isInGroup&&this.group.accordion,this.isExpanded=n(this.el,this.expandedClass),this.wasExpanded=this.isExpanded,this.wasDisabled=n(this.el,this.disabledClass),this.src=this.el.getAttribute("data-expandable-src")||this.src,this.isLoaded=!this.src,this.loadCallbacks=[],this.media=this.el.getAttribute("data-expandable-media")||this.media,this.isActive=!0,this.isUntilFound=Boolean(this.hiddenUntilFound)&&H(),this.el.hasAttribute("data-expandable-print")&&(this.expandOnPrint=Boolean(o(this.el,"expandable-print"))),this.initUI(),this.initEvents(),this.initElementMethods(),this.initMedia(),this.isInAccordion&&this.isExpanded&&(this.isRestored?this.collapseAccordionSiblings(0):this.getExpandedMembers().length>this.group.accordionMax&&this.setState(!1,0)),this.isExpanded&&this.loadContent()},option:function(a,c){var d={};if("undefined"==typeof a)return b({},this.properties);if("string"==typeof a){if("undefined"==typeof c)return this.properties[a];d[a]=c}else d=a;this.configure(d)},destroy:function(){var a,b;this.finishAnimation(),E(this.jQuery,this.el,"click",this.listeners.click),E(this.jQuery,this.target,"keydown",this.listeners.keydown),E(this.jQuery,this.content,"beforematch",this.listeners.beforematch),this.mediaQuery&&G(this.mediaQuery,this.listeners.media),m(this.el,this.expandedClass,this.wasExpanded),m(this.el,this.loadingClass,!1),m(this.el,this.errorClass,!1),m(this.el,this.inactiveClass,!1),m(this.el,this.disabledClass,this.wasDisabled),this.loadCallbacks=[];for(var c in this.ui)this.ui.hasOwnProperty(c)&&r(this[c],this.originalAttributes[c]);if(this.isFilteredOut&&(this.group.getItem(this).removeAttribute("hidden"),this.isFilteredOut=!1),this.isInGroup&&k(this.el,this.group.highlightClass),this.extendElement)for(a=0,b=this.elementMethods.length;b>a;a++)delete this.el[this.elementMethods[a]];S(this.el,null),this.isInGroup&&this.group.update()},removeElement:function(){this.destroy(),this.el.parentNode&&this.el.parentNode.removeChild(this.el)},initUI:function(){this.originalAttributes={};for(var a in this.ui)this.ui.hasOwnProperty(a)&&(this[a]=this.el.querySelector(this.ui[a]),this.originalAttributes[a]=q(this[a],this.uiAttributes[a]));this.isDisabled=this.wasDisabled||"true"===this.target.getAttribute("aria-disabled"),m(this.el,this.disabledClass,this.isDisabled),this.initAttributes(),this.restoreState(),this.setState(this.isExpanded,0)},initAttributes:function(){this.target.setAttribute("aria-controls",p(this.content,"content")),this.content.setAttribute("role","region"),this.content.setAttribute("aria-labelledby",p(this.target,"target")),e(this.target,"button")||(this.target.setAttribute("role","button"),e(this.target,"[href], [tabindex]")||this.target.setAttribute("tabindex","0")),this.isDisabled&&this.target.setAttribute("aria-disabled","true")},restoreState:function(){var a=this.loadState();this.isRestored="undefined"!=typeof a,this.isRestored&&(this.isExpanded=a)},initEvents:function(){var a=this,b=function(b){a.toggle(b)};this.throttleDuration>0&&(b=c(this.throttleDuration,this.toggle,this)),this.listeners={click:function(c){var d=f(c.target,".expandable_target",a.el);a.isActive&&d&&R(d)===a&&(c.preventDefault(),a.isDisabled||b(c))},keydown:function(b){a.onKeydown(b)},beforematch:function(b){b.target===a.content&&a.expand(0,"find")}},this.jQuery=bb,D(this.jQuery,this.el,"click",this.listeners.click),D(this.jQuery,this.target,"keydown",this.listeners.keydown),this.isUntilFound&&D(this.jQuery,this.content,"beforematch",this.listeners.beforematch)},initMedia:function(){var b=this;this.media&&a.matchMedia&&(this.mediaQuery=a.matchMedia(this.media),this.listeners.media=function(){b.setActive(b.mediaQuery.matches)},F(this.mediaQuery,this.listeners.media),this.setActive(this.mediaQuery.matches))},setActive:function(a){if(a!==this.isActive){if(this.isActive=a,m(this.el,this.inactiveClass,!a),a)return this.initAttributes(),void this.setState(this.isExpanded,0);this.finishAnimation();for(var b in this.ui)this.ui.hasOwnProperty(b)&&r(this[b],this.originalAttributes[b]);z(this.content),m(this.el,this.expandedClass,!0),this.isInGroup&&this.group.update()}},disable:function(){this.setDisabled(!0)},enable:function(){this.setDisabled(!1)},setDisabled:function(a){this.isDisabled=Boolean(a),m(this.el,this.disabledClass,this.isDisabled),this.isActive&&(this.isDisabled?this.target.setAttribute("aria-disabled","true"):this.target.removeAttribute("aria-disabled"),this.isInGroup&&this.group.update())},initElementMethods:function(){function a(a){b.el[a]=function(){return b[a].apply(b,arguments)}}var b=this;if(this.extendElement)for(var c=0,d=this.elementMethods.length;d>c;c++)a(this.elementMethods[c])},onKeydown:function(a){var b,c,d,f,g=a.which||a.keyCode,h=[];if(this.isActive){if((g===cb.ENTER||g===cb.SPACE)&&!e(this.target,"button"))return a.preventDefault(),void this.target.click();if(this.isInGroup){b=this.getGroupMembers();for(var i=0;i<b.length;i++)c=Q(b[i]),c&&!c.isFilteredOut&&h.push(c.target);switch(d=h.indexOf(this.target),f=h.length-1,g){case cb.UP:d=0===d?f:d-1;break;case cb.DOWN:d=d===f?0:d+1;break;case cb.HOME:d=0;break;case cb.END:d=f;break;default:return}a.preventDefault(),h[d].focus()}}},getGroupMembers:function(){for(var a=this.group.getMembers(),b=[],c=0;c<a.length;c++)b.push(a[c].el);return b},toggle:function(a){var b="api";return a&&(a.preventDefault(),a.stopPropagation(),b="click"),this.isExpanded||this.isExpandPending?this.collapse(void 0,b):this.expand(void 0,b)},getExpandedMembers:function(){return this.isInGroup?this.group.getExpanded().sort(function(a,b){return a.expandedAt-b.expandedAt}):this.isExpanded?[this]:[]},collapseAccordionSiblings:function(a){var b,c;if(this.isInAccordion&&!this.group.filterStates){b=this.getExpandedMembers(),c=b.length-this.group.accordionMax;for(var d=0;d<b.length&&c>0;d++)b[d]===this||b[d].isDisabled||(b[d].collapse(a,"accordion"),c--)}},expand:function(a,b){var c=this,d=t(),e=a;return this.isActive?this.isLoaded?(this.isMotionReduced()?a=0:"undefined"==typeof a&&(a=X("calculateExpandDuration",this.getContentHeight())),b=b||"api",this.trigger("beforeexpand",a,b)?(this.setState(!0,a,function(){this.trigger("afterexpand",a,b),d.resolve(this)},function(){d.reject(v("interrupted","expand"))}),this.collapseAccordionSiblings(e),this.saveState(),this.updateHash&&"click"===b&&w(this.getStateId()),d.promise):(d.reject(v("canceled","expand")),d.promise)):(this.isExpandPending=!0,this.loadContent(function(e){var f;return c.isExpandPending?(c.isExpandPending=!1,e?void d.reject(e):(f=c.expand(a,b),void(f&&f.then(d.resolve,d.reject)))):void d.reject(v("interrupted","expand"))},function(){return c.expand(a,b)}),d.promise):(d.reject(v("inactive","expand")),d.promise)},collapse:function(b,c){var d=t();return this.isActive?(this.isExpandPending=!1,this.isExpanded&&this.isInAccordion&&this.getExpandedMembers().length<=this.group.accordionMin?(d.reject(v("canceled","collapse")),d.promise):(this.isMotionReduced()?b=0:"undefined"==typeof b&&(b=X("calculateCollapseDuration",this.getContentHeight())),c=c||"api",this.trigger("beforecollapse",b,c)?(this.setState(!1,b,function(){this.trigger("aftercollapse",b,c),d.resolve(this)},function(){d.reject(v("interrupted","collapse"))}),this.saveState(),this.updateHash&&"click"===c&&this.getStateId()&&a.location.hash==="#"+this.getStateId()&&w(""),d.promise):(d.reject(v("canceled","collapse")),d.promise))):(d.reject(v("inactive","collapse")),d.promise)},load:function(){var a=this,b=t();return this.loadContent(function(c){c?b.reject(c):b.resolve(a)},function(){return a.load()}),b.promise},loadContent:function(a,b){function c(a,c){var e=d.loadCallbacks;if(Q(d.el)===d){d.loadCallbacks=[],a?(d.setLoadState("error"),d.trigger("loaderror",void 0,void 0,{error:a,retry:b||function(){return d.load()}})):(d.content.innerHTML=c,d.isLoaded=!0,d.setLoadState(null),d.trigger("load"));for(var f=0,g=e.length;g>f;f++)e[f].call(d,a)}}var d=this,e=this.src,f=W.cache;if(this.isLoaded)return void(a&&a.call(this,null));if(a&&this.loadCallbacks.push(a),!this.isLoading){if(f.hasOwnProperty(e))return void c(null,f[e]);this.setLoadState("loading"),W.request(e,function(a,b){a||(f[e]=b),c(a,b)})}},setLoadState:function(a){this.isLoading="loading"===a,m(this.el,this.loadingClass,this.isLoading),m(this.el,this.errorClass,"error"===a),this.isLoading?this.content.setAttribute("aria-busy","true"):this.content.removeAttribute("aria-busy")},setPrinting:function(a){if(a){if(!this.expandOnPrint||this.isShownForPrint||this.isExpanded||!this.isActive)return;this.finishAnimation(),this.isShownForPrint=!0,z(this.content)}else this.isShownForPrint&&(this.isShownForPrint=!1,this.isExpanded||this.setState(!1,0))},isMotionReduced:function(){return"auto"===this.reduceMotion?C():Boolean(this.reduceMotion)},getStateId:function(){return this.el.id||this.originalAttributes.content.id||void 0},getStorage:function(){var b=this.persist===!0?"local":this.persist;try{if("session"===b)return a.sessionStorage;if("local"===b)return a.localStorage}catch(c){return null}return b&&"object"==typeof b?b:null},getStorageKey:function(){var b=this.getStateId();return b&&"expandable:"+a.location.pathname+"#"+b},saveState:function(){var a=this.getStorage(),b=this.getStorageKey();if(a&&b)try{a.setItem(b,String(this.isExpanded))}catch(c){}},loadState:function(){var a=this.getStorage(),b=this.getStorageKey(),c=null;if(a&&b)try{c=a.getItem(b)}catch(d){}return null===c?void 0:"true"===c},setState:function(a,b,c,d){var e=this,f=a!==this.isExpanded;return a?this.expandedAt||(this.expandedAt=++ab):this.expandedAt=0,this.isActive?(this.target.setAttribute("aria-expanded",String(a)),m(this.el,this.expandedClass,a),this.isExpanded=a,this.animate(a,b,function(){c&&c.call(e)},function(){d&&d.call(e)}),void(this.isInGroup&&(this.group.update(),f&&this.group.trigger("change",this)))):void(this.isExpanded=a)},animate:function(a,b,c,e){var f,g=this.currentAnimation;if(g&&g.isRunning){if(g.isExpanded===a)return g.callbacks.push(c),void g.onInterrupts.push(e);g.isRunning=!1,f=g.slide.stop(),d(g.onInterrupts)}g=this.currentAnimation={isExpanded:a,isRunning:!0,callbacks:[c],onInterrupts:[e]},g.slide=O(this.content,a,{duration:b,easing:W.getEasing(this.easing),useTransition:"transition"===this.animation&&I(),untilFound:this.isUntilFound,start:f},function(){g.isRunning=!1,d(g.callbacks)})},finishAnimation:function(){this.currentAnimation&&this.currentAnimation.isRunning&&this.currentAnimation.slide.finish()},getContentHeight:function(){var a=this.currentAnimation;return a&&a.isRunning?a.slide.full.height:A(this.content)},trigger:function(a,c,d,e){var f=b({expandable:this,duration:c,source:d},e),g=s("expandable:"+a,f);return b(g,f),this.el.dispatchEvent(g)}},W.getInstance=Q,W.easings={easeOutExpo:{css:"cubic-bezier(0.19, 1, 0.22, 1)",fn:B},swing:{css:"cubic-bezier(0.445, 0.05, 0.55, 0.95)",fn:function(a){return.5-Math.cos(a*Math.PI)/2}},linear:{css:"linear",fn:function(a){return a}}},W.getEasing=function(a){var b=W.easings;return b.hasOwnProperty(a)?b[a]:b.easeOutExpo||{css:"ease-out",fn:B}},W.cache={},W.request=function(b,c){var d=new a.XMLHttpRequest;d.onreadystatechange=function(){var a;if(4===d.readyState){if(d.status>=200&&d.status<300)return void c(null,d.responseText);a=new Error("Failed to load "+b),a.type="load",a.status=d.status,c(a)}},d.open("GET",b),d.send()},W.initAll=function(a,b){var c=Z(a,b);return Y(c),c},W.observe=function(b,c){function d(a){for(var b,c=g(a,".expandable"),d=0,e=c.length;e>d;d++)b=Q(c[d]),b&&b.destroy()}var e;return b=b||$,W.initAll(b,c),a.MutationObserver?(e=new a.MutationObserver(function(a){for(var b,e,f=[],g=0,h=a.length;h>g;g++){b=a[g].removedNodes;for(var i=0;i<b.length;i++)e=b[i],1!==e.nodeType||l(e)||d(e);b=a[g].addedNodes;for(var j=0;j<b.length;j++)e=b[j],1===e.nodeType&&l(e)&&(f=f.concat(Z(e,c)))}Y(f)}),e.observe(b,{childList:!0,subtree:!0}),e):null},W.openHash=function(b){var c,d,e,f=[];if("undefined"==typeof b&&(b=a.location.hash),c=x(b),!c)return!1;for(d=c;d;d=d.parentNode)e=Q(d),!e||e.isExpanded||d!==c&&!e.content.contains(c)||f.unshift(e);if(!f.length)return!1;for(var g=0;g<f.length;g++)f[g].expand(0,"hash");return c.scrollIntoView(),!0},W.expandForPrint=function(){for(var a,b=$.querySelectorAll(".expandable"),c=0,d=b.length;d>c;c++)a=Q(b[c]),a&&a.setPrinting(!0)},W.restoreAfterPrint=function(){for(var a,b=$.querySelectorAll(".expandable"),c=0,d=b.length;d>c;c++)a=Q(b[c]),a&&a.setPrinting(!1)},W.expandAll=function(a,b){return V(a).expandAll(b)},W.collapseAll=function(a,b){return V(a).collapseAll(b)},W.Group=T,W.calculateExpandDuration=function(a){return W.constrainValue(450,900,4*a)},W.calculateCollapseDuration=function(a){return W.constrainValue(350,900,2*a)},W.constrainValue=function(a,b,c){return c>b?c=b:a>c&&(c=a),c},W.registerJQueryPlugin=function(a){function b(b,c,d){var e=b;return-1===a.inArray(c,a.fn.expandable.methods)&&a.error('No such expandable method: "'+c+'"'),b.each(function(){var b,g=Q(this);return g||a.error('Cannot call expandable method "'+c+'" prior to initialization'),b="instance"===c?g:g[c],"function"==typeof b&&(b=b.apply(g,d)),"undefined"!=typeof b&&-1===a.inArray(c,f)?(e=b,!1):void 0}),e}var c,d=["expandable","duration","source","error","retry","group"],e=["beforeexpand","afterexpand","beforecollapse","aftercollapse","load","loaderror"],f=["expand","collapse","toggle","load"];if(bb=a,a.fn.expandable=function(c){var d=[];return"string"==typeof c?b(this,c,Array.prototype.slice.call(arguments,1)):(this.each(function(){var b=Q(this);return b?void(c&&!a.isEmptyObject(c)&&b.configure(c)):void d.push(new W(this,c))}),Y(d),this)},a.fn.expandable.methods=["expand","collapse","toggle","load","disable","enable","option","destroy","removeElement","isExpanded","isDisabled","instance"],a.fn.expandable.isInitialized=function(b){return Boolean(Q(a(b).get(0)))},a.fn.expandable.expandAll=function(b,c){return W.expandAll(a(b).get(0),c)},a.fn.expandable.collapseAll=function(b,c){return W.collapseAll(a(b).get(0),c)},a.fn.expandable.observe=function(b,c){return W.observe(a(b).get(0),c)},a.fn.expandable.Constructor=W,a.fn.expandable.Group=T,a.fn.expandable.defaults=W.defaults,a.fn.expandable.openHash=W.openHash,a.fn.expandable.calculateExpandDuration=function(a){return W.calculateExpandDuration(a)},a.fn.expandable.calculateCollapseDuration=function(a){return W.calculateCollapseDuration(a)},a.fn.expandable.constrainValue=W.constrainValue,a.event.addProp)for(c=0;c<d.length;c++)a.event.addProp(d[c],!0);else{for(c=0;c<e.length;c++)a.event.fixHooks["expandable:"+e[c]]={props:d};a.event.fixHooks["expandable-group:change"]={props:d}}};var gb,hb=b({autoInit:!0,observe:!1},a.cfExpandables);return b(W.defaults,hb.defaults),a.jQuery&&W.registerJQueryPlugin(a.jQuery),$&&(hb.observe?W.observe("string"==typeof hb.observe?$.querySelector(hb.observe):$):hb.autoInit&&W.initAll($),a.addEventListener("hashchange",function(){W.openHash()}),a.addEventListener("beforeprint",function(){W.expandForPrint()}),a.addEventListener("afterprint",function(){W.restoreAfterPrint()}),a.matchMedia&&(gb=a.matchMedia("print"),F(gb,function(){gb.matches?W.expandForPrint():W.restoreAfterPrint()})),D(bb,$,"input",function(a){var b,c,d=a.target;e(d,"[data-expandable-filter]")&&(b=d.getAttribute("data-expandable-filter"),c=b?$.querySelector(b):f(d,".expandable-group"),c&&V(c).filter(d.value))}),D(bb,$,"click",function(a){var b,c=f(a.target,"[data-expandable-group-action]"),d=c&&f(c,".expandable-group");d&&(b=o(c,"expandable-group-action"),a.preventDefault(),"toggle-all"===b&&(b="true"===c.getAttribute("aria-expanded")?"collapse-all":"expand-all"),"expand-all"===b?W.expandAll(d):"collapse-all"===b&&W.collapseAll(d))})),W});
\ No newline at end of file
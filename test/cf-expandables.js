@@ -32,11 +32,44 @@
       this.$testSubjectFourAContent = $('#test-subject-four-a_content');
       this.$testSubjectFourB = $('#test-subject-four-b');
       this.$testSubjectFourBContent = $('#test-subject-four-b_content');
+      this.$testSubjectFive = $('#test-subject-five');
+      this.$testSubjectSixA = $('#test-subject-six-a');
+      this.$testSubjectSixB = $('#test-subject-six-b');
+      this.$testSubjectSeven = $('#test-subject-seven');
+      this.$testSubjectEight = $('#test-subject-eight');
+      this.$testSubjectNine = $('#test-subject-nine');
+      this.$testSubjectTen = $('#test-subject-ten');
+      this.$testSubjectEleven = $('#test-subject-eleven .expandable');
+      this.$testSubjectTwelve = $('#test-subject-twelve');
+      this.$testSubjectThirteen = $('#test-subject-thirteen');
+      this.$testSubjectFourteen = $('#test-subject-fourteen');
+      this.$testSubjectFifteenA = $('#test-subject-fifteen-a');
+      this.$testSubjectFifteenB = $('#test-subject-fifteen-b');
+      this.$testSubjectFifteenBNested = $('#test-subject-fifteen-b-nested');
+      this.$testSubjectSixteen = $('#test-subject-sixteen');
+      this.$testSubjectSeventeen = $('#test-subject-seventeen');
+      this.$testSubjectEighteenA = $('#test-subject-eighteen-a');
+      this.$testSubjectEighteenB = $('#test-subject-eighteen-b');
+      this.testSubjectNineteen = document.getElementById('test-subject-nineteen');
+      this.testSubjectTwenty = document.getElementById('test-subject-twenty');
+      this.testSubjectTwentyOne = document.getElementById('test-subject-twenty-one');
+      this.$testSubjectTwentyTwoA = $('#test-subject-twenty-two-a');
+      this.$testSubjectTwentyTwoB = $('#test-subject-twenty-two-b');
+      this.$testSubjectTwentyThreeA = $('#test-subject-twenty-three-a');
+      this.$testSubjectTwentyThreeB = $('#test-subject-twenty-three-b');
+      this.$testSubjectTwentyThreeC = $('#test-subject-twenty-three-c');
+      this.testSubjectTwentyFour = document.getElementById('test-subject-twenty-four');
+      this.$testSubjectTwentyFiveA = $('#test-subject-twenty-five-a');
+      this.$testSubjectTwentyFiveB = $('#test-subject-twenty-five-b');
+      this.$testSubjectTwentyFiveBNested = $('#test-subject-twenty-five-b-nested');
+      this.$testSubjectTwentySix = $('#test-subject-twenty-six');
+      this.testSubjectTwentySevenA = document.getElementById('test-subject-twenty-seven-a');
+      this.testSubjectTwentySevenB = document.getElementById('test-subject-twenty-seven-b');
     }
   });
 
   test( 'Verify initial default collapsed state', function() {
-    expect( 6 );
+    expect( 5 );
     ok(
       !$('#test-subject-one .expandable_content').is(':visible'),
       'The content should be collapsed'
@@ -50,21 +83,17 @@
       'The close cue should be hidden'
     );
     ok(
-      ( $('#test-subject-one .expandable_target').attr('aria-pressed') === 'false' ),
-      'The target should have an aria-pressed attribute set to false'
+      ( $('#test-subject-one .expandable_target').attr('aria-expanded') === 'false' ),
+      'The target should have an aria-expanded attribute set to false'
     );
     ok(
       ( $('#test-subject-one .expandable_target').attr('aria-controls') === $('#test-subject-one .expandable_content').attr('id') ),
       'The target should have an aria-controls attribute set to the id attribute of the content'
     );
-    ok(
-      ( $('#test-subject-one .expandable_content').attr('aria-expanded') === 'false' ),
-      'The content should have an aria-expanded attribute set to false'
-    );
   });
 
   test( 'Verify initial state when using the expanded modifier', function() {
-    expect( 6 );
+    expect( 5 );
     ok(
       $('#test-subject-two .expandable_content').is(':visible'),
       'The content should be expanded'
@@ -78,21 +107,17 @@
       'The open cue should be hidden'
     );
     ok(
-      ( $('#test-subject-two .expandable_target').attr('aria-pressed') === 'true' ),
-      'The target should have an aria-pressed attribute that is true'
+      ( $('#test-subject-two .expandable_target').attr('aria-expanded') === 'true' ),
+      'The target should have an aria-expanded attribute that is true'
     );
     ok(
       ( $('#test-subject-two .expandable_target').attr('aria-controls') === $('#test-subject-two .expandable_content').attr('id') ),
       'The target should have an aria-controls attribute set to the id attribute of the content'
     );
-    ok(
-      ( $('#test-subject-two .expandable_content').attr('aria-expanded') === 'true' ),
-      'The content should have an aria-expanded attribute set to true'
-    );
   });
 
   asyncTest( 'Verify expandables can open after being closed by default', function() {
-    expect( 5 );
+    expect( 4 );
     var $expandable = this.$testSubjectOne;
     $expandable.find('.expandable_target').trigger('click');
     setTimeout(function() {
@@ -109,19 +134,15 @@
         'The open cue should be hidden'
       );
       ok(
-        ( $expandable.find('.expandable_target').attr('aria-pressed') === 'true' ),
-        'The target should have an aria-pressed attribute that is true'
-      );
-      ok(
-        ( $expandable.find('.expandable_content').attr('aria-expanded') === 'true' ),
-        'The content should have an aria-expanded attribute set to true'
+        ( $expandable.find('.expandable_target').attr('aria-expanded') === 'true' ),
+        'The target should have an aria-expanded attribute that is true'
       );
       start();
     }, 900);
   });
 
   asyncTest( 'Verify expandables can close after being opened by a click', function() {
-    expect( 5 );
+    expect( 4 );
     var $expandable = this.$testSubjectOne;
     // This expandable was opened in the previous test
     $expandable.find('.expandable_target').trigger('click');
@@ -139,19 +160,15 @@
         'The close cue should be hidden'
       );
       ok(
-        ( $expandable.find('.expandable_target').attr('aria-pressed') === 'false' ),
-        'The target should have an aria-pressed attribute that is false'
-      );
-      ok(
-        ( $expandable.find('.expandable_content').attr('aria-expanded') === 'false' ),
-        'The content should have an aria-expanded attribute set to true'
+        ( $expandable.find('.expandable_target').attr('aria-expanded') === 'false' ),
+        'The target should have an aria-expanded attribute that is false'
       );
       start();
     }, 1800);
   });
 
   asyncTest( 'Verify expandables can close after being open by default', function() {
-    expect( 5 );
+    expect( 4 );
     var $expandable = this.$testSubjectTwo;
     $expandable.find('.expandable_target').trigger('click');
     setTimeout(function() {
@@ -168,19 +185,15 @@
         'The close cue should be hidden'
       );
       ok(
-        ( $expandable.find('.expandable_target').attr('aria-pressed') === 'false' ),
-        'The target should have an aria-pressed attribute that is false'
-      );
-      ok(
-        ( $expandable.find('.expandable_content').attr('aria-expanded') === 'false' ),
-        'The content should have an aria-expanded attribute set to true'
+        ( $expandable.find('.expandable_target').attr('aria-expanded') === 'false' ),
+        'The target should have an aria-expanded attribute that is false'
       );
       start();
     }, 900);
   });
 
   asyncTest( 'Verify expandables can open after being closed by a click', function() {
-    expect( 5 );
+    expect( 4 );
     var $expandable = this.$testSubjectTwo;
     // This expandable was opened in the previous test
     $expandable.find('.expandable_target').trigger('click');
@@ -198,19 +211,15 @@
         'The open cue should be hidden'
       );
       ok(
-        ( $expandable.find('.expandable_target').attr('aria-pressed') === 'true' ),
-        'The target should have an aria-pressed attribute that is true'
-      );
-      ok(
-        ( $expandable.find('.expandable_content').attr('aria-expanded') === 'true' ),
-        'The content should have an aria-expanded attribute set to true'
+        ( $expandable.find('.expandable_target').attr('aria-expanded') === 'true' ),
+        'The target should have an aria-expanded attribute that is true'
       );
       start();
     }, 1800);
   });
 
   asyncTest( 'Verify activating expandable in accordion closes auto-opened expandable sibling', function() {
-    expect( 10 );
+    expect( 8 );
     var $expandableA = this.$testSubjectThreeA,
         $expandableB = this.$testSubjectThreeB;
     // Note: $expandableA starts out as open by having the expandable__expanded
@@ -231,12 +240,8 @@
         'Expandable B open cue should be hidden'
       );
       ok(
-        ( $expandableB.find('.expandable_target').attr('aria-pressed') === 'true' ),
-        'Expandable B target should have an aria-pressed attribute that is true'
-      );
-      ok(
-        ( $expandableB.find('.expandable_content').attr('aria-expanded') === 'true' ),
-        'Expandable B content should have an aria-expanded attribute set to true'
+        ( $expandableB.find('.expandable_target').attr('aria-expanded') === 'true' ),
+        'Expandable B target should have an aria-expanded attribute that is true'
       );
       ok(
         !$expandableA.find('.expandable_content').is(':visible'),
@@ -251,19 +256,15 @@
         'Expandable A open cue should now be visible'
       );
       ok(
-        ( $expandableA.find('.expandable_target').attr('aria-pressed') === 'false' ),
-        'Expandable A target should now have an aria-pressed attribute that is false'
-      );
-      ok(
-        ( $expandableA.find('.expandable_content').attr('aria-expanded') === 'false' ),
-        'Expandable A content should now have an aria-expanded attribute set to false'
+        ( $expandableA.find('.expandable_target').attr('aria-expanded') === 'false' ),
+        'Expandable A target should now have an aria-expanded attribute that is false'
       );
       start();
     }, 900);
   });
 
   asyncTest( 'Verify activating expandable in accordion closes click-opened expandable sibling', function() {
-    expect( 10 );
+    expect( 8 );
     var $expandableA = this.$testSubjectThreeA,
         $expandableB = this.$testSubjectThreeB;
     // Note: $expandableB was opened by click in the previous test.
@@ -282,12 +283,8 @@
         'Expandable A open cue should be hidden'
       );
       ok(
-        ( $expandableA.find('.expandable_target').attr('aria-pressed') === 'true' ),
-        'Expandable A target should have an aria-pressed attribute that is true'
-      );
-      ok(
-        ( $expandableA.find('.expandable_content').attr('aria-expanded') === 'true' ),
-        'Expandable A content should have an aria-expanded attribute set to true'
+        ( $expandableA.find('.expandable_target').attr('aria-expanded') === 'true' ),
+        'Expandable A target should have an aria-expanded attribute that is true'
       );
       ok(
         !$expandableB.find('.expandable_content').is(':visible'),
@@ -302,12 +299,8 @@
         'Expandable B open cue should now be visible'
       );
       ok(
-        ( $expandableB.find('.expandable_target').attr('aria-pressed') === 'false' ),
-        'Expandable B target should now have an aria-pressed attribute that is false'
-      );
-      ok(
-        ( $expandableB.find('.expandable_content').attr('aria-expanded') === 'false' ),
-        'Expandable B content should now have an aria-expanded attribute set to false'
+        ( $expandableB.find('.expandable_target').attr('aria-expanded') === 'false' ),
+        'Expandable B target should now have an aria-expanded attribute that is false'
       );
       start();
     }, 1800);
@@ -347,7 +340,7 @@
     expandableB.expand( 0 );
     expandable.collapse( 0 );
     ok(
-      $expandableAContent.attr('aria-expanded') === 'true' && $expandableBContent.attr('aria-expanded') === 'true',
+      $('#test-subject-four-a > .expandable_target').attr('aria-expanded') === 'true' && $('#test-subject-four-b > .expandable_target').attr('aria-expanded') === 'true',
       'Nested expandables should remain expanded after the parent is collapsed.'
     );
   });
@@ -382,49 +375,46 @@
     );
   });
 
-  asyncTest( 'Verify expandables click events( expand ) are throttled', function() {
-    expect( 5 );
+  asyncTest( 'Verify a second click reverses the expand', function() {
+    expect( 4 );
     var $expandable = this.$testSubjectTwo;
     var $target = $expandable.find('.expandable_target');
 
     // Ensure expandable is collapsed.
     $expandable.get( 0 ).collapse( 0 );
 
-    // Simulating two clicks to test expandable throttling.
+    // Simulating two clicks, the second one interrupting the expand.
     $target.trigger('click');
     $target.trigger('click');
 
     setTimeout(function() {
       ok(
-        $expandable.find('.expandable_content').is(':visible'),
-        'The content should no longer be collapsed'
-      );
-      ok(
-        $expandable.find('.expandable_cue-close').is(':visible'),
-        'The close cue should be visible'
+        !$expandable.find('.expandable_content').is(':visible'),
+        'The content should be collapsed again'
       );
       ok(
-        !$expandable.find('.expandable_cue-open').is(':visible'),
-        'The open cue should be hidden'
+        $expandable.find('.expandable_cue-open').is(':visible'),
+        'The open cue should be visible'
       );
       ok(
-        ( $expandable.find('.expandable_target').attr('aria-pressed') === 'true' ),
-        'The target should have an aria-pressed attribute that is true'
+        !$expandable.find('.expandable_cue-close').is(':visible'),
+        'The close cue should be hidden'
       );
       ok(
-        ( $expandable.find('.expandable_content').attr('aria-expanded') === 'true' ),
-        'The content should have an aria-expanded attribute set to true'
+        ( $expandable.find('.expandable_target').attr('aria-expanded') === 'false' ),
+        'The target should have an aria-expanded attribute that is false'
       );
       start();
     }, 1800);
   });
 
   asyncTest( 'Verify expandables click events( collapse ) are throttled', function() {
-    expect( 5 );
+    expect( 4 );
     var $expandable = this.$testSubjectTwo;
     var $target = $expandable.find('.expandable_target');
 
-    // Ensure expandable is expanded.
+    // Ensure expandable is expanded and clicks are throttled.
+    $expandable.expandable( 'option', 'throttleDuration', 450 );
     $expandable.get( 0 ).expand( 0 );
 
     // Simulating two clicks to test expandable throttling.
@@ -445,15 +435,1778 @@
         'The close cue should be hidden'
       );
       ok(
-        ( $expandable.find('.expandable_target').attr('aria-pressed') === 'false' ),
-        'The target should have an aria-pressed attribute that is false'
+        ( $expandable.find('.expandable_target').attr('aria-expanded') === 'false' ),
+        'The target should have an aria-expanded attribute that is false'
+      );
+      $expandable.expandable( 'option', 'throttleDuration', 0 );
+      start();
+    }, 900);
+  });
+
+  asyncTest( 'Verify expand triggers before and after events', function() {
+    expect( 7 );
+    var $expandable = this.$testSubjectFive,
+        expandable = $expandable.expandable( 'instance' ),
+        beforeEvent;
+    $expandable.one( 'expandable:beforeexpand', function( event ) {
+      beforeEvent = event;
+      ok(
+        !expandable.isExpanded,
+        'The before event should fire before the state changes'
+      );
+    } );
+    $expandable.one( 'expandable:afterexpand', function( event ) {
+      ok(
+        $expandable.find('.expandable_content').is(':visible'),
+        'The after event should fire once the content is visible'
+      );
+      ok(
+        event.expandable === expandable,
+        'The after event should carry the expandable instance'
+      );
+      ok(
+        event.duration === 50,
+        'The after event should carry the animation duration'
       );
       ok(
-        ( $expandable.find('.expandable_content').attr('aria-expanded') === 'false' ),
-        'The content should have an aria-expanded attribute set to true'
+        event.source === 'api',
+        'The after event source should be api for programmatic calls'
       );
       start();
-    }, 900);
+    } );
+    expandable.expand( 50 );
+    ok(
+      beforeEvent && beforeEvent.expandable === expandable,
+      'The before event should carry the expandable instance'
+    );
+    ok(
+      beforeEvent && beforeEvent.duration === 50 && beforeEvent.source === 'api',
+      'The before event should carry the duration and source'
+    );
+  });
+
+  test( 'Verify canceling a before event leaves the expandable untouched', function() {
+    expect( 3 );
+    var $expandable = this.$testSubjectFive,
+        expandable = $expandable.expandable( 'instance' );
+    $expandable.one( 'expandable:beforecollapse', function( event ) {
+      event.preventDefault();
+    } );
+    expandable.collapse( 0 );
+    ok(
+      expandable.isExpanded,
+      'The expandable should still be expanded'
+    );
+    ok(
+      $expandable.hasClass( 'expandable__expanded' ),
+      'The expanded class should still be set'
+    );
+    ok(
+      ( $expandable.find('.expandable_target').attr('aria-expanded') === 'true' ),
+      'The target should still have an aria-expanded attribute that is true'
+    );
+  });
+
+  asyncTest( 'Verify aftercollapse event carries the click source', function() {
+    expect( 2 );
+    var $expandable = this.$testSubjectFive;
+    $expandable.one( 'expandable:aftercollapse', function( event ) {
+      ok(
+        event.source === 'click',
+        'The after event source should be click for user activation'
+      );
+      ok(
+        !$expandable.find('.expandable_content').is(':visible'),
+        'The after event should fire once the content is hidden'
+      );
+      start();
+    } );
+    $expandable.find('.expandable_target').trigger('click');
+  });
+
+  test( 'Verify accordion siblings are collapsed with the accordion source', function() {
+    expect( 3 );
+    var $expandableA = this.$testSubjectSixA,
+        $expandableB = this.$testSubjectSixB,
+        source;
+    $expandableA.one( 'expandable:beforecollapse', function( event ) {
+      source = event.source;
+    } );
+    $expandableB.expandable( 'toggle' );
+    ok(
+      $expandableB.expandable( 'isExpanded' ),
+      'Expandable B should be expanded'
+    );
+    ok(
+      !$expandableA.expandable( 'isExpanded' ),
+      'Expandable A should be collapsed'
+    );
+    ok(
+      source === 'accordion',
+      'Expandable A before event source should be accordion'
+    );
+  });
+
+  test( 'Verify content is labelled by its target', function() {
+    expect( 3 );
+    var $target = this.$testSubjectFive.find('.expandable_target'),
+        $content = this.$testSubjectFive.find('.expandable_content');
+    ok(
+      $content.attr('role') === 'region',
+      'The content should have a region role'
+    );
+    ok(
+      $target.attr('id'),
+      'The target should have a generated id'
+    );
+    ok(
+      $content.attr('aria-labelledby') === $target.attr('id'),
+      'The content should have an aria-labelledby attribute set to the id attribute of the target'
+    );
+  });
+
+  test( 'Verify ids are generated for content without one', function() {
+    expect( 2 );
+    var $target = this.$testSubjectThreeA.find('.expandable_target'),
+        $content = this.$testSubjectThreeA.find('.expandable_content');
+    ok(
+      $content.attr('id'),
+      'The content should have a generated id'
+    );
+    ok(
+      $target.attr('aria-controls') === $content.attr('id'),
+      'The target should have an aria-controls attribute set to the generated id'
+    );
+  });
+
+  test( 'Verify non-button targets act as buttons', function() {
+    expect( 3 );
+    var $target = this.$testSubjectOne.find('.expandable_target'),
+        expandable = this.$testSubjectOne.expandable( 'instance' ),
+        isExpanded = expandable.isExpanded;
+    ok(
+      $target.attr('role') === 'button',
+      'A link target should have a button role'
+    );
+    ok(
+      this.$testSubjectFive.find('.expandable_target').attr('role') === undefined,
+      'A button target should not have a role added'
+    );
+    $target.trigger( $.Event( 'keydown', { which: 32 } ) );
+    ok(
+      expandable.isExpanded !== isExpanded,
+      'Pressing space on a link target should toggle the expandable'
+    );
+  });
+
+  test( 'Verify arrow, home and end keys move focus between group headers', function() {
+    expect( 4 );
+    var $targetA = this.$testSubjectSixA.find('.expandable_target'),
+        $targetB = this.$testSubjectSixB.find('.expandable_target');
+    $targetA.focus();
+    $targetA.trigger( $.Event( 'keydown', { which: 40 } ) );
+    ok(
+      document.activeElement === $targetB.get( 0 ),
+      'Pressing down should move focus to the next header'
+    );
+    $targetB.trigger( $.Event( 'keydown', { which: 40 } ) );
+    ok(
+      document.activeElement === $targetA.get( 0 ),
+      'Pressing down on the last header should wrap to the first header'
+    );
+    $targetA.trigger( $.Event( 'keydown', { which: 35 } ) );
+    ok(
+      document.activeElement === $targetB.get( 0 ),
+      'Pressing end should move focus to the last header'
+    );
+    $targetB.trigger( $.Event( 'keydown', { which: 36 } ) );
+    ok(
+      document.activeElement === $targetA.get( 0 ),
+      'Pressing home should move focus to the first header'
+    );
+  });
+
+  test( 'Verify destroy restores the original markup', function() {
+    expect( 7 );
+    var $expandable = this.$testSubjectSeven,
+        element = $expandable.get( 0 ),
+        $target = $expandable.find('.expandable_target'),
+        $content = $expandable.find('.expandable_content');
+    $expandable.expandable( 'expand', 0 );
+    $expandable.expandable( 'destroy' );
+    ok(
+      $.contains( document.body, element ),
+      'The expandable should still be in the document'
+    );
+    ok(
+      !$expandable.hasClass( 'expandable__expanded' ),
+      'The expanded class should be restored to its initial state'
+    );
+    ok(
+      $target.attr('aria-expanded') === undefined &&
+      $target.attr('aria-controls') === undefined &&
+      $target.attr('role') === undefined,
+      'The attributes added to the target should be removed'
+    );
+    ok(
+      $content.attr('role') === undefined &&
+      $content.attr('aria-labelledby') === undefined &&
+      $content.attr('style') === undefined,
+      'The attributes and inline styles added to the content should be removed'
+    );
+    ok(
+      $content.attr('id') === 'test-subject-seven_content',
+      'The original id of the content should be kept'
+    );
+    ok(
+      typeof element.expand === 'undefined' &&
+      !$.fn.expandable.isInitialized( element ),
+      'The expandable methods and instance should be removed from the dom element'
+    );
+    $target.trigger('click');
+    ok(
+      $content.attr('style') === undefined,
+      'Clicking the target should no longer toggle the content'
+    );
+  });
+
+  test( 'Verify a destroyed expandable can be initialized again', function() {
+    expect( 3 );
+    var $expandable = this.$testSubjectSeven,
+        expandable;
+    $expandable.expandable();
+    expandable = $expandable.expandable( 'instance' );
+    ok(
+      !expandable.isExpanded &&
+      $expandable.find('.expandable_target').attr('aria-expanded') === 'false',
+      'The expandable should be initialized in its initial state'
+    );
+    $expandable.find('.expandable_target').trigger('click');
+    ok(
+      expandable.isExpanded,
+      'Clicking the target should toggle the expandable once'
+    );
+    expandable.destroy();
+    ok(
+      !$expandable.find('.expandable_target').attr('id'),
+      'Generated ids should be removed'
+    );
+  });
+
+  test( 'Verify removeElement removes the expandable from the document', function() {
+    expect( 1 );
+    var element = this.$testSubjectEight.get( 0 );
+    this.$testSubjectEight.expandable( 'removeElement' );
+    ok(
+      !$.contains( document.body, element ),
+      'The expandable should be removed from the document'
+    );
+  });
+
+  test( 'Verify isInitialized reports initialized elements', function() {
+    expect( 3 );
+    ok(
+      $.fn.expandable.isInitialized( this.$testSubjectNine ),
+      'An expandable should be initialized'
+    );
+    ok(
+      $.fn.expandable.isInitialized( this.$testSubjectNine.get( 0 ) ),
+      'isInitialized should also accept a dom element'
+    );
+    ok(
+      !$.fn.expandable.isInitialized( this.$testSubjectNine.find('.expandable_content') ),
+      'Other elements should not be initialized'
+    );
+  });
+
+  test( 'Verify initializing an expandable twice does not bind events twice', function() {
+    expect( 1 );
+    var $expandable = this.$testSubjectNine;
+    $expandable.expandable();
+    $expandable.expandable();
+    $expandable.find('.expandable_target').trigger('click');
+    ok(
+      $expandable.expandable( 'isExpanded' ),
+      'Clicking the target should toggle the expandable once'
+    );
+  });
+
+  test( 'Verify initializing an expandable with options re-configures it', function() {
+    expect( 3 );
+    var $expandable = this.$testSubjectNine,
+        expandable = $expandable.expandable( 'instance' );
+    $expandable.expandable( { throttleDuration: 1 } );
+    ok(
+      expandable.throttleDuration === 1,
+      'The new options should be applied'
+    );
+    ok(
+      expandable.isExpanded && $expandable.hasClass( 'expandable__expanded' ),
+      'The expanded state should be kept'
+    );
+    $expandable.find('.expandable_target').trigger('click');
+    ok(
+      !expandable.isExpanded,
+      'Clicking the target should toggle the expandable once'
+    );
+  });
+
+  test( 'Verify the default options are exposed', function() {
+    expect( 2 );
+    ok(
+      $.fn.expandable.defaults.expandedClass === 'expandable__expanded',
+      'The default expanded class should be expandable__expanded'
+    );
+    ok(
+      $.fn.expandable.defaults.throttleDuration === 0,
+      'Clicks should not be throttled by default'
+    );
+  });
+
+  test( 'Verify changing the default options applies to new expandables', function() {
+    expect( 2 );
+    var $expandable = this.$testSubjectTen,
+        defaultExpandedClass = $.fn.expandable.defaults.expandedClass;
+    $.fn.expandable.defaults.expandedClass = 'expandable-custom__expanded';
+    $expandable.expandable();
+    $.fn.expandable.defaults.expandedClass = defaultExpandedClass;
+    $expandable.expandable( 'expand', 0 );
+    ok(
+      $expandable.expandable( 'option', 'expandedClass' ) === 'expandable-custom__expanded',
+      'The expandable should use the changed default'
+    );
+    ok(
+      $expandable.hasClass( 'expandable-custom__expanded' ),
+      'The changed expanded class should be added when expanding'
+    );
+  });
+
+  test( 'Verify expand, collapse and toggle can be called through the plugin', function() {
+    expect( 5 );
+    var $expandables = this.$testSubjectEleven;
+    ok(
+      $expandables.expandable( 'expand', 0 ) === $expandables,
+      'Calling a method should return the jQuery object'
+    );
+    ok(
+      $expandables.eq( 0 ).expandable( 'isExpanded' ) &&
+      $expandables.eq( 1 ).expandable( 'isExpanded' ),
+      'Every expandable in the set should be expanded'
+    );
+    ok(
+      $expandables.expandable( 'isExpanded' ) === true,
+      'isExpanded should return the state of the first expandable'
+    );
+    $expandables.expandable( 'collapse', 0 );
+    ok(
+      !$expandables.eq( 0 ).expandable( 'isExpanded' ) &&
+      !$expandables.eq( 1 ).expandable( 'isExpanded' ),
+      'Every expandable in the set should be collapsed'
+    );
+    $expandables.first().expandable( 'toggle' );
+    ok(
+      $expandables.first().expandable( 'isExpanded' ),
+      'The first expandable should be toggled'
+    );
+  });
+
+  test( 'Verify options can be read and set through the plugin', function() {
+    expect( 3 );
+    var $expandables = this.$testSubjectEleven;
+    ok(
+      $expandables.expandable( 'option', 'throttleDuration' ) === 0,
+      'Getting an option should return its value'
+    );
+    $expandables.expandable( 'option', 'throttleDuration', 200 );
+    ok(
+      $expandables.eq( 0 ).expandable( 'option', 'throttleDuration' ) === 200 &&
+      $expandables.eq( 1 ).expandable( 'option', 'throttleDuration' ) === 200,
+      'Setting an option should apply to every expandable in the set'
+    );
+    ok(
+      $expandables.expandable( 'option' ).throttleDuration === 200,
+      'Getting all options should return an options object'
+    );
+  });
+
+  test( 'Verify invalid method calls throw errors', function() {
+    expect( 2 );
+    throws(
+      function() {
+        $('#test-subject-eleven').expandable( 'init' );
+      },
+      'Calling a method that is not public should throw an error'
+    );
+    throws(
+      function() {
+        $('#test-subject-eleven').expandable( 'expand' );
+      },
+      'Calling a method on an element that is not initialized should throw an error'
+    );
+  });
+
+  test( 'Verify destroy can be called through the plugin', function() {
+    expect( 1 );
+    var $expandables = this.$testSubjectEleven;
+    $expandables.expandable( 'destroy' );
+    ok(
+      !$.fn.expandable.isInitialized( $expandables.get( 0 ) ) &&
+      !$.fn.expandable.isInitialized( $expandables.get( 1 ) ),
+      'Every expandable in the set should be destroyed'
+    );
+  });
+
+  test( 'Verify the expandable instance is stored separately from the dom element', function() {
+    expect( 3 );
+    var element = this.$testSubjectOne.get( 0 ),
+        expandable = this.$testSubjectOne.expandable( 'instance' ),
+        isExpanded = expandable.isExpanded;
+    ok(
+      expandable instanceof $.fn.expandable.Constructor && expandable.el === element,
+      'The instance should be an Expandable for the dom element'
+    );
+    ok(
+      typeof element.isExpanded === 'undefined' && typeof element.$el === 'undefined',
+      'The expandable properties should not be copied onto the dom element'
+    );
+    element.toggle();
+    ok(
+      expandable.isExpanded !== isExpanded,
+      'The dom element methods should call the instance methods'
+    );
+  });
+
+  test( 'Verify the dom element methods can be turned off', function() {
+    expect( 2 );
+    var $expandable = this.$testSubjectTwelve;
+    $expandable.expandable( { extendElement: false } );
+    ok(
+      typeof $expandable.get( 0 ).expand === 'undefined',
+      'The dom element should not have the expandable methods'
+    );
+    $expandable.expandable( 'expand', 0 );
+    ok(
+      $expandable.expandable( 'isExpanded' ),
+      'The plugin methods should still work'
+    );
+  });
+
+  test( 'Verify group controls reflect the initial group state', function() {
+    expect( 3 );
+    var $toggle = $('#test-subject-thirteen-toggle');
+    ok(
+      $toggle.attr('aria-expanded') === 'false',
+      'The toggle control should have an aria-expanded attribute set to false'
+    );
+    ok(
+      $.trim( $toggle.text() ) === 'Expand all',
+      'The toggle control label should be Expand all'
+    );
+    ok(
+      $toggle.attr('aria-controls').split(' ').length === 2,
+      'The toggle control should control the content of every expandable'
+    );
+  });
+
+  test( 'Verify the toggle-all control expands and collapses every expandable', function() {
+    expect( 4 );
+    var $expandables = this.$testSubjectThirteen.children('.expandable'),
+        $toggle = $('#test-subject-thirteen-toggle');
+    $toggle.trigger('click');
+    ok(
+      $expandables.eq( 0 ).expandable( 'isExpanded' ) &&
+      $expandables.eq( 1 ).expandable( 'isExpanded' ),
+      'Every expandable should be expanded'
+    );
+    ok(
+      $toggle.attr('aria-expanded') === 'true' && $toggle.text() === 'Collapse all',
+      'The toggle control should reflect that every expandable is expanded'
+    );
+    $toggle.trigger('click');
+    ok(
+      !$expandables.eq( 0 ).expandable( 'isExpanded' ) &&
+      !$expandables.eq( 1 ).expandable( 'isExpanded' ),
+      'Every expandable should be collapsed'
+    );
+    ok(
+      $toggle.attr('aria-expanded') === 'false' && $toggle.text() === 'Expand all',
+      'The toggle control should reflect that not every expandable is expanded'
+    );
+  });
+
+  test( 'Verify the group controls follow individual expandables', function() {
+    expect( 3 );
+    var $expandables = this.$testSubjectThirteen.children('.expandable'),
+        $toggle = $('#test-subject-thirteen-toggle');
+    $expandables.eq( 0 ).expandable( 'expand', 0 );
+    ok(
+      $toggle.attr('aria-expanded') === 'false',
+      'The toggle control should not be expanded while one expandable is collapsed'
+    );
+    $expandables.eq( 1 ).expandable( 'expand', 0 );
+    ok(
+      $toggle.attr('aria-expanded') === 'true',
+      'The toggle control should be expanded once every expandable is expanded'
+    );
+    $('#test-subject-thirteen-collapse').trigger('click');
+    ok(
+      !$expandables.eq( 0 ).expandable( 'isExpanded' ) &&
+      !$expandables.eq( 1 ).expandable( 'isExpanded' ),
+      'The collapse-all control should collapse every expandable'
+    );
+  });
+
+  test( 'Verify group controls outside of a group keep their default action', function() {
+    expect( 1 );
+    var control = document.createElement( 'button' ),
+        event = document.createEvent( 'MouseEvents' );
+    control.setAttribute( 'data-expandable-group-action', 'expand-all' );
+    document.body.appendChild( control );
+    event.initEvent( 'click', true, true );
+    ok( control.dispatchEvent( event ), 'The click should not be canceled' );
+    document.body.removeChild( control );
+  });
+
+  asyncTest( 'Verify accordion groups refuse to expand all', function() {
+    expect( 3 );
+    var $expandables = this.$testSubjectFourteen.children('.expandable'),
+        $expand = $('#test-subject-fourteen-expand');
+    ok(
+      $expand.attr('aria-disabled') === 'true',
+      'The expand-all control should be disabled'
+    );
+    $expand.trigger('click');
+    ok(
+      !$expandables.eq( 0 ).expandable( 'isExpanded' ) &&
+      !$expandables.eq( 1 ).expandable( 'isExpanded' ),
+      'The expandables should stay collapsed'
+    );
+    $.fn.expandable.expandAll( this.$testSubjectFourteen ).then( null,
+      function( error ) {
+        ok(
+          error.type === 'canceled',
+          'expandAll should return a rejected promise'
+        );
+        start();
+      }
+    );
+  });
+
+  test( 'Verify openHash expands the expandables hiding the hash target', function() {
+    expect( 4 );
+    ok(
+      $.fn.expandable.openHash( '#test-subject-fifteen-answer' ),
+      'openHash should return true when expandables were expanded'
+    );
+    ok(
+      this.$testSubjectFifteenB.expandable( 'isExpanded' ) &&
+      this.$testSubjectFifteenBNested.expandable( 'isExpanded' ),
+      'The expandable and its ancestor expandable should be expanded'
+    );
+    ok(
+      !this.$testSubjectFifteenA.expandable( 'isExpanded' ),
+      'The accordion sibling should be collapsed'
+    );
+    ok(
+      !$.fn.expandable.openHash( '#test-subject-fifteen-answer' ),
+      'openHash should return false when the target is already visible'
+    );
+  });
+
+  test( 'Verify initializing expandables only opens a hash target they hide', function() {
+    expect( 2 );
+    var $expandable = this.$testSubjectSixteen,
+        hash = window.location.hash,
+        markup = '<div class="expandable">' +
+                 '<button class="expandable_target">New</button>' +
+                 '<div class="expandable_content">' +
+                 '<p id="test-new-hash-target">New</p></div></div>',
+        $other = $( markup ).appendTo( document.body ),
+        $hiding = $( markup ).appendTo( document.body );
+    $other.find('p').removeAttr('id');
+    window.history.replaceState( null, '', '#test-subject-sixteen_content' );
+    $expandable.expandable();
+    $expandable.expandable( 'collapse', 0 );
+    $other.expandable();
+    window.Expandable.initAll( $other[0] );
+    ok(
+      !$expandable.expandable( 'isExpanded' ),
+      'Initializing other expandables should leave the hash target collapsed'
+    );
+    window.history.replaceState( null, '', '#test-new-hash-target' );
+    window.Expandable.initAll( $hiding[0] );
+    ok(
+      $hiding.expandable( 'isExpanded' ),
+      'A new expandable hiding the hash target should be expanded'
+    );
+    window.history.replaceState( null, '', hash || window.location.pathname );
+    $other.expandable( 'destroy' ).remove();
+    $hiding.expandable( 'destroy' ).remove();
+  });
+
+  asyncTest( 'Verify changing the URL hash expands the expandable', function() {
+    expect( 1 );
+    var $expandable = this.$testSubjectSixteen;
+    $( window ).one( 'hashchange', function() {
+      setTimeout( function() {
+        ok(
+          $expandable.expandable( 'isExpanded' ),
+          'The expandable with the targeted content should be expanded'
+        );
+        start();
+      }, 0 );
+    } );
+    window.location.hash = '#test-subject-sixteen_content';
+  });
+
+  asyncTest( 'Verify the updateHash option updates the URL hash on click', function() {
+    expect( 2 );
+    var $expandable = this.$testSubjectSeventeen,
+        $target = $expandable.find('.expandable_target');
+    $expandable.expandable( { updateHash: true, throttleDuration: 0 } );
+    $target.trigger('click');
+    ok(
+      window.location.hash === '#test-subject-seventeen',
+      'Expanding should set the URL hash to the expandable id'
+    );
+    setTimeout( function() {
+      $target.trigger('click');
+      ok(
+        window.location.hash === '',
+        'Collapsing should remove the URL hash'
+      );
+      start();
+    }, 10 );
+  });
+
+  test( 'Verify the persisted state is restored without animation', function() {
+    expect( 4 );
+    var $expandables = this.$testSubjectEighteenA.add( this.$testSubjectEighteenB ),
+        key = 'expandable:' + window.location.pathname + '#test-subject-eighteen-b',
+        items = {},
+        storage = {
+          getItem: function( key ) {
+            return items.hasOwnProperty( key ) ? items[key] : null;
+          },
+          setItem: function( key, value ) {
+            items[key] = value;
+          }
+        };
+    items[key] = 'true';
+    $expandables.expandable( 'destroy' );
+    $expandables.expandable( { persist: storage } );
+    ok(
+      this.$testSubjectEighteenB.expandable( 'isExpanded' ) &&
+      this.$testSubjectEighteenB.find('.expandable_content').is(':visible'),
+      'The persisted expanded state should be restored immediately'
+    );
+    ok(
+      !this.$testSubjectEighteenA.expandable( 'isExpanded' ),
+      'The accordion sibling expanded in the markup should be collapsed'
+    );
+    ok(
+      items['expandable:' + window.location.pathname + '#test-subject-eighteen-a'] === 'false',
+      'The collapsed state of the accordion sibling should be persisted'
+    );
+    this.$testSubjectEighteenB.expandable( 'collapse', 0 );
+    ok(
+      items[key] === 'false',
+      'Collapsing should persist the collapsed state'
+    );
+  });
+
+  test( 'Verify the persist option picks the storage', function() {
+    expect( 3 );
+    var instance = this.$testSubjectEighteenB.expandable( 'instance' ),
+        persist = instance.persist,
+        localStorage = null;
+    try {
+      localStorage = window.localStorage;
+    } catch ( err ) {
+      // getStorage returns null when the storage is disabled.
+    }
+    instance.persist = true;
+    ok(
+      instance.getStorage() === localStorage,
+      'persist: true should use localStorage'
+    );
+    instance.persist = 'cookies';
+    ok(
+      instance.getStorage() === null,
+      'Unknown storage names should not persist the state'
+    );
+    instance.persist = false;
+    ok(
+      instance.getStorage() === null,
+      'persist: false should not persist the state'
+    );
+    instance.persist = persist;
+  });
+
+  test( 'Verify the plugin duration calculations can be overridden', function() {
+    expect( 2 );
+    var calculateExpand = $.fn.expandable.calculateExpandDuration,
+        calculateCollapse = $.fn.expandable.calculateCollapseDuration,
+        markup = '<div class="expandable">' +
+                 '<button class="expandable_target">New</button>' +
+                 '<div class="expandable_content">New</div></div>',
+        $collapsed = $( markup ).appendTo( document.body ),
+        $expanded = $( markup ).addClass( 'expandable__expanded' )
+          .appendTo( document.body ),
+        durations = [];
+    $.fn.expandable.calculateExpandDuration = function() {
+      return 1;
+    };
+    $.fn.expandable.calculateCollapseDuration = function() {
+      return 2;
+    };
+    $collapsed.add( $expanded ).expandable()
+      .on( 'expandable:beforeexpand expandable:beforecollapse', function( event ) {
+        durations.push( event.duration );
+        event.preventDefault();
+      } );
+    $collapsed.expandable( 'expand' );
+    ok(
+      durations[0] === 1,
+      'The overridden expand duration should be used'
+    );
+    $expanded.expandable( 'collapse' );
+    ok(
+      durations[1] === 2,
+      'The overridden collapse duration should be used'
+    );
+    $.fn.expandable.calculateExpandDuration = calculateExpand;
+    $.fn.expandable.calculateCollapseDuration = calculateCollapse;
+    $collapsed.add( $expanded ).expandable( 'destroy' ).remove();
+  });
+
+  test( 'Verify the Expandable class works on plain dom elements', function() {
+    expect( 5 );
+    var element = this.testSubjectNineteen,
+        content = element.querySelector('.expandable_content'),
+        expandable = new window.Expandable( element, { extendElement: false } ),
+        detail;
+    ok(
+      window.Expandable.getInstance( element ) === expandable &&
+      $.fn.expandable.Constructor === window.Expandable,
+      'The instance should be shared with the jQuery plugin'
+    );
+    ok(
+      content.style.display === 'none',
+      'The content should be collapsed'
+    );
+    element.addEventListener( 'expandable:beforeexpand', function( event ) {
+      detail = event.detail;
+    } );
+    expandable.expand( 0 );
+    ok(
+      detail.expandable === expandable && detail.source === 'api',
+      'Native event listeners should receive the expandable and source'
+    );
+    ok(
+      content.style.display !== 'none' &&
+      element.className.indexOf( 'expandable__expanded' ) !== -1,
+      'The content should be expanded'
+    );
+    expandable.destroy();
+    ok(
+      window.Expandable.getInstance( element ) === undefined &&
+      content.getAttribute( 'style' ) === null,
+      'Destroy should remove the instance and inline styles'
+    );
+  });
+
+  test( 'Verify Expandable.initAll skips initialized expandables', function() {
+    expect( 2 );
+    var group = document.getElementById( 'test-subject-six' );
+    ok(
+      window.Expandable.initAll( group ).length === 0,
+      'Initialized expandables should be skipped'
+    );
+    this.$testSubjectSixB.expandable( 'destroy' );
+    ok(
+      window.Expandable.initAll( group )[0] ===
+      this.$testSubjectSixB.expandable( 'instance' ),
+      'Un-initialized expandables should be initialized'
+    );
+  });
+
+  test( 'Verify the content slides with a CSS transition', function() {
+    expect( 4 );
+    var element = this.testSubjectNineteen,
+        content = element.querySelector('.expandable_content'),
+        expandable = new window.Expandable( element, { easing: 'linear' } ),
+        event = document.createEvent( 'Event' ),
+        isAfterExpand = false;
+    element.addEventListener( 'expandable:afterexpand', function() {
+      isAfterExpand = true;
+    } );
+    expandable.expand( 5000 );
+    ok(
+      content.style.transition.indexOf( 'height 5000ms linear' ) !== -1,
+      'The transition should use the duration and easing options'
+    );
+    event.initEvent( 'transitionend', true, false );
+    event.propertyName = 'height';
+    content.dispatchEvent( event );
+    ok(
+      isAfterExpand,
+      'The animation should complete when the height transition ends'
+    );
+    ok(
+      content.style.transition === '' && content.style.height === '',
+      'The transition and animated styles should be removed'
+    );
+    expandable.option( 'easing', 'easeOutBounce' );
+    expandable.collapse( 5000 );
+    ok(
+      content.style.transition.indexOf( 'cubic-bezier(0.19, 1, 0.22, 1)' ) !== -1,
+      'Unregistered easings should fall back to easeOutExpo'
+    );
+    expandable.destroy();
+  });
+
+  asyncTest( 'Verify the frame animation mode', function() {
+    expect( 2 );
+    var element = this.testSubjectNineteen,
+        content = element.querySelector('.expandable_content'),
+        expandable = new window.Expandable( element, { animation: 'frame' } );
+    element.addEventListener( 'expandable:afterexpand', function onAfter() {
+      element.removeEventListener( 'expandable:afterexpand', onAfter );
+      ok(
+        content.style.display !== 'none' && content.style.height === '',
+        'The content should be shown once the animation completes'
+      );
+      expandable.destroy();
+      start();
+    } );
+    expandable.expand( 50 );
+    ok(
+      content.style.transition === '' && content.style.height === '0px',
+      'The styles should be animated without a transition'
+    );
+  });
+
+  test( 'Verify reduced motion expands and collapses instantly', function() {
+    expect( 4 );
+    var element = this.testSubjectNineteen,
+        matchMedia = window.matchMedia,
+        expandable = new window.Expandable( element ),
+        durations = [];
+    element.addEventListener( 'expandable:beforeexpand', function( event ) {
+      durations.push( event.duration );
+    } );
+    window.matchMedia = function( query ) {
+      return { matches: query === '(prefers-reduced-motion: reduce)' };
+    };
+    expandable.expand( 500 );
+    ok(
+      durations[0] === 0 && element.querySelector('.expandable_content').style.display !== 'none',
+      'The prefers-reduced-motion media query should disable the animation'
+    );
+    expandable.collapse( 0 );
+    expandable.option( 'reduceMotion', false );
+    expandable.expand( 500 );
+    ok(
+      durations[1] === 500,
+      'Setting reduceMotion to false should force the animation'
+    );
+    window.matchMedia = matchMedia;
+    expandable.collapse( 0 );
+    expandable.option( 'reduceMotion', 'auto' );
+    expandable.expand( 500 );
+    ok(
+      durations[2] === 500,
+      'The animation should run again once the media query no longer matches'
+    );
+    expandable.collapse( 0 );
+    expandable.option( 'reduceMotion', true );
+    expandable.expand( 500 );
+    ok(
+      durations[3] === 0,
+      'Setting reduceMotion to true should disable the animation'
+    );
+    expandable.destroy();
+  });
+
+  asyncTest( 'Verify expand and collapse return promises', function() {
+    expect( 5 );
+    var element = this.testSubjectNineteen,
+        expandable = new window.Expandable( element ),
+        $expandable = $( element );
+    ok(
+      $expandable.expandable( 'expand', 50 ) === $expandable,
+      'Method calls through the plugin should stay chainable'
+    );
+    expandable.expand( 50 ).then( function( value ) {
+      ok(
+        value === expandable && expandable.isExpanded,
+        'The promise should resolve with the expandable once expanded'
+      );
+      element.addEventListener( 'expandable:beforecollapse',
+        function onBefore( event ) {
+          element.removeEventListener( 'expandable:beforecollapse', onBefore );
+          event.preventDefault();
+        }
+      );
+      return expandable.collapse( 50 );
+    } ).then( null, function( error ) {
+      ok(
+        error.type === 'canceled',
+        'A canceled collapse should reject the promise'
+      );
+      var promise = expandable.collapse( 5000 );
+      expandable.expand( 0 );
+      return promise;
+    } ).then( null, function( error ) {
+      ok(
+        error.type === 'interrupted' && expandable.isExpanded,
+        'An interrupted collapse should reject the promise'
+      );
+      return window.Expandable.collapseAll(
+        document.getElementById( 'test-subject-thirteen' ), 50 );
+    } ).then( function( values ) {
+      ok(
+        $.isArray( values ),
+        'collapseAll should resolve once every expandable is collapsed'
+      );
+      expandable.destroy();
+      start();
+    } );
+  });
+
+  asyncTest( 'Verify an interrupted animation is reversed from where it stopped', function() {
+    expect( 4 );
+    var element = this.testSubjectTwenty,
+        content = element.querySelector('.expandable_content'),
+        expandable = new window.Expandable( element, {
+          animation: 'frame',
+          easing: 'linear'
+        } ),
+        expandPromise = expandable.expand( 1000 );
+    setTimeout( function() {
+      var height,
+          startTime = new Date();
+      expandable.collapse( 1000 ).then( function() {
+        ok(
+          new Date() - startTime < 900,
+          'The reversed animation should be shorter'
+        );
+        ok(
+          content.style.display === 'none' && content.style.height === '40px',
+          'The content should be collapsed with its inline styles restored'
+        );
+        expandable.destroy();
+        start();
+      } );
+      height = parseFloat( content.style.height );
+      ok(
+        height > 0 && height < 40 && !expandable.isExpanded,
+        'The collapse should start from the current height'
+      );
+      expandPromise.then( null, function( error ) {
+        ok(
+          error.type === 'interrupted',
+          'The expand promise should be rejected'
+        );
+      } );
+    }, 300 );
+  });
+
+  asyncTest( 'Verify lazy content is loaded on first expand', function() {
+    expect( 9 );
+    var element = this.testSubjectTwentyOne,
+        content = element.querySelector('.expandable_content'),
+        request = window.Expandable.request,
+        requests = 0,
+        retry,
+        expandable;
+    window.Expandable.request = function( url, callback ) {
+      requests++;
+      setTimeout( function() {
+        var error;
+        if ( requests === 1 ) {
+          error = new Error( 'Failed to load ' + url );
+          error.type = 'load';
+          callback( error );
+        } else {
+          callback( null, '<p style="height: 80px">' + url + '</p>' );
+        }
+      }, 10 );
+    };
+    element.addEventListener( 'expandable:loaderror', function( event ) {
+      retry = event.retry;
+    } );
+    expandable = new window.Expandable( element, { reduceMotion: true } );
+    expandable.expand().then( null, function( error ) {
+      ok(
+        error.type === 'load' && !expandable.isExpanded,
+        'A failed load should reject the expand promise'
+      );
+      ok(
+        $( element ).hasClass( 'expandable__error' ) &&
+        !content.hasAttribute( 'aria-busy' ),
+        'A failed load should set the error state'
+      );
+      return retry();
+    } ).then( function() {
+      ok(
+        expandable.isExpanded &&
+        content.innerHTML === '<p style="height: 80px">twenty-one.html</p>',
+        'Retrying should load the content and expand'
+      );
+      ok(
+        !$( element ).hasClass( 'expandable__error' ),
+        'A successful load should clear the error state'
+      );
+      return expandable.collapse();
+    } ).then( function() {
+      expandable.expand();
+      ok(
+        expandable.isExpanded && requests === 2,
+        'The loaded content should not be requested again'
+      );
+      expandable.destroy();
+      expandable = new window.Expandable( element, { reduceMotion: true } );
+      expandable.expand();
+      ok(
+        expandable.isExpanded && requests === 2,
+        'The content should be loaded from the cache'
+      );
+      expandable.destroy();
+      window.Expandable.request = request;
+      delete window.Expandable.cache['twenty-one.html'];
+      start();
+    } );
+    ok(
+      $( element ).hasClass( 'expandable__loading' ) &&
+      content.getAttribute( 'aria-busy' ) === 'true',
+      'The loading state should be set while loading'
+    );
+    ok(
+      !expandable.isExpanded && requests === 1,
+      'The expandable should stay collapsed while loading'
+    );
+    expandable.toggle();
+    expandable.toggle();
+    ok(
+      requests === 1,
+      'Toggling while loading should not request the content again'
+    );
+  });
+
+  asyncTest( 'Verify observed expandables open the hash target they hide', function() {
+    expect( 1 );
+    var root = document.createElement( 'div' ),
+        hash = window.location.hash,
+        observer;
+    document.body.appendChild( root );
+    observer = window.Expandable.observe( root );
+    window.history.replaceState( null, '', '#test-observed-hash-target' );
+    root.innerHTML =
+      '<div class="expandable">' +
+        '<button class="expandable_target">Observed</button>' +
+        '<div class="expandable_content">' +
+          '<p id="test-observed-hash-target">Observed</p>' +
+        '</div>' +
+      '</div>';
+    setTimeout( function() {
+      ok(
+        window.Expandable.getInstance( root.firstChild ).isExpanded,
+        'Added expandables hiding the hash target should be expanded'
+      );
+      window.history.replaceState( null, '', hash || window.location.pathname );
+      observer.disconnect();
+      window.Expandable.getInstance( root.firstChild ).destroy();
+      document.body.removeChild( root );
+      start();
+    }, 0 );
+  });
+
+  asyncTest( 'Verify observed expandables are initialized and destroyed', function() {
+    expect( 5 );
+    var root = document.createElement( 'div' ),
+        getInstance = window.Expandable.getInstance,
+        observer,
+        group,
+        nested,
+        moved,
+        instance;
+    document.body.appendChild( root );
+    observer = window.Expandable.observe( root );
+    root.innerHTML =
+      '<div class="expandable-group" data-accordion="true">' +
+        '<div class="expandable">' +
+          '<button class="expandable_target">Observed</button>' +
+          '<div class="expandable_content">' +
+            '<div class="expandable">' +
+              '<button class="expandable_target">Nested</button>' +
+              '<div class="expandable_content">Nested</div>' +
+            '</div>' +
+          '</div>' +
+        '</div>' +
+        '<div class="expandable">' +
+          '<button class="expandable_target">Moved</button>' +
+          '<div class="expandable_content">Moved</div>' +
+        '</div>' +
+      '</div>';
+    group = root.firstChild;
+    nested = group.querySelector( '.expandable .expandable' );
+    moved = group.lastChild;
+    setTimeout( function() {
+      instance = getInstance( moved );
+      ok(
+        getInstance( group.firstChild ) && getInstance( nested ) && instance,
+        'Added expandables should be initialized, including nested ones'
+      );
+      ok(
+        instance.isInAccordion,
+        'Added expandables should be set up for their group'
+      );
+      root.appendChild( moved );
+      group.firstChild.querySelector( '.expandable_content' )
+        .removeChild( nested );
+      setTimeout( function() {
+        ok(
+          getInstance( moved ) === instance,
+          'Moved expandables should keep their instance'
+        );
+        ok(
+          typeof getInstance( nested ) === 'undefined' &&
+          !nested.querySelector( '.expandable_target' )
+            .hasAttribute( 'aria-controls' ),
+          'Removed expandables should be destroyed'
+        );
+        root.removeChild( group );
+        setTimeout( function() {
+          ok(
+            typeof getInstance( group.firstChild ) === 'undefined',
+            'Expandables inside removed elements should be destroyed'
+          );
+          observer.disconnect();
+          getInstance( moved ).destroy();
+          document.body.removeChild( root );
+          start();
+        }, 0 );
+      }, 0 );
+    }, 0 );
+  });
+
+  asyncTest( 'Verify expandables are only active while their media query matches', function() {
+    expect( 8 );
+    var element = this.testSubjectNineteen,
+        $target = $( element ).find('.expandable_target'),
+        content = element.querySelector('.expandable_content'),
+        matchMedia = window.matchMedia,
+        listeners = [],
+        mediaQuery = {
+          matches: false,
+          addListener: function( listener ) {
+            listeners.push( listener );
+          },
+          removeListener: function( listener ) {
+            listeners.splice( $.inArray( listener, listeners ), 1 );
+          }
+        },
+        expandable,
+        rejected;
+    function setMatches( matches ) {
+      mediaQuery.matches = matches;
+      for ( var i = 0; i < listeners.length; i++ ) {
+        listeners[i]();
+      }
+    }
+    window.matchMedia = function( query ) {
+      return query === '(max-width: 600px)' ? mediaQuery : { matches: false };
+    };
+    element.setAttribute( 'data-expandable-media', '(max-width: 600px)' );
+    expandable = new window.Expandable( element, { reduceMotion: true } );
+    ok(
+      !expandable.isActive && $( element ).hasClass( 'expandable__inactive' ) &&
+      content.style.display !== 'none',
+      'The expandable should be inactive with its content shown'
+    );
+    ok(
+      !$target.attr( 'aria-expanded' ) && !$target.attr( 'aria-controls' ) &&
+      !content.hasAttribute( 'role' ),
+      'An inactive expandable should not have ARIA attributes'
+    );
+    $target.trigger('click');
+    ok(
+      !expandable.isExpanded,
+      'Clicking an inactive expandable should not toggle it'
+    );
+    expandable.expand().then( null, function( error ) {
+      rejected = error.type;
+    } );
+    setMatches( true );
+    ok(
+      expandable.isActive && $target.attr( 'aria-expanded' ) === 'false' &&
+      content.style.display === 'none',
+      'The expandable should become active and collapsed'
+    );
+    $target.trigger('click');
+    setMatches( false );
+    ok(
+      content.style.display !== 'none' && !$target.attr( 'aria-expanded' ),
+      'The expandable should become inactive again'
+    );
+    setMatches( true );
+    ok(
+      expandable.isExpanded && $target.attr( 'aria-expanded' ) === 'true',
+      'The previous state should be restored once active'
+    );
+    expandable.destroy();
+    element.removeAttribute( 'data-expandable-media' );
+    window.matchMedia = matchMedia;
+    ok(
+      listeners.length === 0,
+      'Destroying the expandable should remove the media listener'
+    );
+    setTimeout( function() {
+      ok(
+        rejected === 'inactive',
+        'Expanding an inactive expandable should be rejected'
+      );
+      start();
+    }, 0 );
+  });
+
+  test( 'Verify clicking an inactive nested expandable leaves its parent', function() {
+    expect( 1 );
+    var $parent = $( '<div class="expandable expandable__expanded">' +
+          '<button class="expandable_target">Parent</button>' +
+          '<div class="expandable_content">' +
+            '<div class="expandable">' +
+              '<button class="expandable_target">Nested</button>' +
+              '<div class="expandable_content">Nested</div>' +
+            '</div>' +
+          '</div></div>' ).appendTo( document.body ),
+        $nested = $parent.find('.expandable');
+    $parent.add( $nested ).expandable();
+    $nested.expandable( 'instance' ).setActive( false );
+    $nested.find('.expandable_target').trigger('click');
+    ok(
+      $parent.expandable( 'isExpanded' ),
+      'The parent expandable should stay expanded'
+    );
+    $nested.expandable( 'destroy' );
+    $parent.expandable( 'destroy' ).remove();
+  });
+
+  test( 'Verify disabled expandables ignore clicks and accordion siblings', function() {
+    expect( 7 );
+    var $a = this.$testSubjectTwentyTwoA,
+        $b = this.$testSubjectTwentyTwoB,
+        a = $a.expandable( 'instance' ),
+        b = $b.expandable( 'instance' ),
+        $targetA = $a.find('.expandable_target');
+    ok(
+      a.isDisabled && $targetA.attr( 'aria-disabled' ) === 'true',
+      'The disabled modifier should be honored at init'
+    );
+    $targetA.trigger('click');
+    ok(
+      a.isExpanded,
+      'Clicking a disabled expandable should not toggle it'
+    );
+    $b.find('.expandable_target').trigger('click');
+    ok(
+      a.isExpanded && b.isExpanded,
+      'Expanding an accordion sibling should not collapse a disabled one'
+    );
+    a.enable();
+    ok(
+      !$a.hasClass( 'expandable__disabled' ) &&
+      !$targetA.attr( 'aria-disabled' ),
+      'Enabling the expandable should remove the disabled state'
+    );
+    $targetA.trigger('click');
+    ok(
+      !a.isExpanded,
+      'Clicking an enabled expandable should toggle it'
+    );
+    ok(
+      $b.expandable( 'disable' ).expandable( 'isDisabled' ) === true &&
+      $b.hasClass( 'expandable__disabled' ),
+      'The plugin should disable the expandable'
+    );
+    $b.expandable( 'option', 'throttleDuration', 1 );
+    ok(
+      $b.expandable( 'instance' ).isDisabled &&
+      $b.find('.expandable_target').attr( 'aria-disabled' ) === 'true',
+      'Re-configuring the expandable should keep it disabled'
+    );
+    b.option( 'throttleDuration', 0 );
+    b.enable();
+    b.collapse( 0 );
+    a.expand( 0 );
+    a.disable();
+  });
+
+  test( 'Verify clicking a disabled nested expandable leaves its parent', function() {
+    expect( 2 );
+    var $parent = $( '<div class="expandable expandable__expanded">' +
+          '<button class="expandable_target">Parent</button>' +
+          '<div class="expandable_content">' +
+            '<div class="expandable expandable__disabled">' +
+              '<button class="expandable_target">Nested</button>' +
+              '<div class="expandable_content">Nested</div>' +
+            '</div>' +
+          '</div></div>' ).appendTo( document.body ),
+        $nested = $parent.find('.expandable');
+    $parent.add( $nested ).expandable();
+    $nested.find('.expandable_target').trigger('click');
+    ok(
+      !$nested.expandable( 'isExpanded' ),
+      'The disabled nested expandable should not toggle'
+    );
+    ok(
+      $parent.expandable( 'isExpanded' ),
+      'The parent expandable should stay expanded'
+    );
+    $nested.expandable( 'destroy' );
+    $parent.expandable( 'destroy' ).remove();
+  });
+
+  asyncTest( 'Verify the accordion minimum and maximum of expanded items', function() {
+    expect( 6 );
+    var $a = this.$testSubjectTwentyThreeA,
+        $c = this.$testSubjectTwentyThreeC,
+        a = $a.expandable( 'instance' ),
+        b = this.$testSubjectTwentyThreeB.expandable( 'instance' ),
+        c = $c.expandable( 'instance' );
+    ok(
+      a.isExpanded && b.isExpanded && !c.isExpanded &&
+      !$c.hasClass( 'expandable__expanded' ),
+      'Expanded items beyond the maximum should be collapsed at init'
+    );
+    $c.find('.expandable_target').trigger('click');
+    ok(
+      !a.isExpanded && b.isExpanded && c.isExpanded,
+      'Clicking should collapse the least recently expanded item'
+    );
+    a.expand( 0 );
+    ok(
+      a.isExpanded && !b.isExpanded && c.isExpanded,
+      'Expanding through the API should apply the maximum'
+    );
+    $c.find('.expandable_target').trigger('click');
+    ok(
+      a.isExpanded && !c.isExpanded,
+      'Items above the minimum should collapse'
+    );
+    $a.find('.expandable_target').trigger('click');
+    ok(
+      a.isExpanded,
+      'Clicking the last expanded item should not collapse it'
+    );
+    a.collapse( 0 ).then( null, function( error ) {
+      ok(
+        error.type === 'canceled' && a.isExpanded,
+        'Collapsing the last expanded item should be canceled'
+      );
+      start();
+    } );
+  });
+
+  asyncTest( 'Verify the ExpandableGroup controller', function() {
+    expect( 8 );
+    var element = this.testSubjectTwentyFour,
+        group = window.Expandable.Group.getInstance( element ),
+        members = group.getMembers(),
+        changes = [];
+    function onChange( event ) {
+      changes.push( event.expandable );
+    }
+    element.addEventListener( 'expandable-group:change', onChange );
+    ok(
+      members.length === 3 && members[0].group === group,
+      'Expandables wrapped in other markup should be group members'
+    );
+    group.openOnly( 1, 0 ).then( function() {
+      ok(
+        group.getExpanded().length === 1 && group.getExpanded()[0] === members[1],
+        'openOnly should expand only the expandable at the index'
+      );
+      ok(
+        changes.length === 1 && changes[0] === members[1],
+        'A change event should be triggered on the group'
+      );
+      return group.expandAll( 0 );
+    } ).then( function( expanded ) {
+      ok(
+        expanded.length === 2 && group.getExpanded().length === 3,
+        'expandAll should expand the other expandables'
+      );
+      return group.collapseAll( 0 );
+    } ).then( function() {
+      ok(
+        group.getExpanded().length === 0 && changes.length === 6,
+        'collapseAll should collapse every expandable'
+      );
+      group.option( 'accordion', true );
+      members[0].expand( 0 );
+      members[2].expand( 0 );
+      ok(
+        members[2].isInAccordion && !members[0].isExpanded,
+        'Setting the accordion option should apply to the members'
+      );
+      group.option( 'accordion', false );
+      members[2].collapse( 0 );
+      ok(
+        group.option( 'accordion' ) === false && !members[2].isInAccordion,
+        'Options should be read back'
+      );
+      return group.openOnly( 5 );
+    } ).then( null, function( error ) {
+      ok(
+        error.type === 'canceled',
+        'openOnly should reject without an expandable at the index'
+      );
+      element.removeEventListener( 'expandable-group:change', onChange );
+      start();
+    } );
+  });
+
+  test( 'Verify an ExpandableGroup created after its expandables', function() {
+    expect( 3 );
+    var element = this.testSubjectTwentyFour,
+        members = window.Expandable.Group.getInstance( element ).getMembers(),
+        group = new window.Expandable.Group( element, { accordion: true } );
+    ok(
+      window.Expandable.Group.getInstance( element ) === group,
+      'The new group should replace the existing one'
+    );
+    ok(
+      group.getMembers().length === 3 && members[0].group === group,
+      'The initialized expandables should join the new group'
+    );
+    ok(
+      members[0].isInAccordion,
+      'The new group options should apply to its members'
+    );
+    new window.Expandable.Group( element );
+  });
+
+  test( 'Verify accordions with wrapped and nested expandables', function() {
+    expect( 5 );
+    var $a = this.$testSubjectTwentyFiveA,
+        $b = this.$testSubjectTwentyFiveB,
+        $nested = this.$testSubjectTwentyFiveBNested,
+        a = $a.expandable( 'instance' ),
+        b = $b.expandable( 'instance' ),
+        nested = $nested.expandable( 'instance' );
+    ok(
+      a.isInAccordion && b.isInAccordion && !nested.isInAccordion &&
+      !nested.isInGroup,
+      'Wrapped expandables should be accordion members, nested ones not'
+    );
+    $b.find('.expandable_target').first().trigger('click');
+    ok(
+      b.isExpanded && !a.isExpanded,
+      'Expanding a wrapped expandable should collapse its accordion sibling'
+    );
+    $nested.find('.expandable_target').trigger('click');
+    ok(
+      nested.isExpanded && b.isExpanded,
+      'Expanding a nested expandable should not collapse its parent'
+    );
+    $a.find('.expandable_target').focus();
+    $a.find('.expandable_target').trigger( $.Event( 'keydown', { which: 40 } ) );
+    ok(
+      document.activeElement === b.target,
+      'The down arrow should move focus to the next wrapped member'
+    );
+    $b.find('.expandable_target').first().trigger( $.Event( 'keydown', { which: 40 } ) );
+    ok(
+      document.activeElement === a.target,
+      'Keyboard navigation should skip nested expandables'
+    );
+    nested.collapse( 0 );
+    a.expand( 0 );
+  });
+
+  test( 'Verify collapsed content can be hidden until found', function() {
+    expect( 6 );
+    var element = this.testSubjectNineteen,
+        content = element.querySelector('.expandable_content'),
+        prototype = window.HTMLElement.prototype,
+        descriptor = Object.getOwnPropertyDescriptor( prototype, 'onbeforematch' ),
+        child = document.createElement( 'span' ),
+        expandable;
+    function beforematch( target ) {
+      var event = document.createEvent( 'Event' );
+      event.initEvent( 'beforematch', true, false );
+      target.dispatchEvent( event );
+    }
+    Object.defineProperty( prototype, 'onbeforematch', descriptor || {
+      value: null,
+      configurable: true,
+      writable: true
+    } );
+    expandable = new window.Expandable( element, {
+      hiddenUntilFound: true,
+      reduceMotion: true
+    } );
+    ok(
+      content.getAttribute( 'hidden' ) === 'until-found' &&
+      content.style.display !== 'none',
+      'Collapsed content should be hidden until found'
+    );
+    content.appendChild( child );
+    beforematch( child );
+    ok(
+      !expandable.isExpanded,
+      'Events bubbling from nested content should be ignored'
+    );
+    beforematch( content );
+    ok(
+      expandable.isExpanded && !content.hasAttribute( 'hidden' ),
+      'Finding text in the content should expand the expandable'
+    );
+    expandable.collapse();
+    expandable.destroy();
+    content.removeChild( child );
+    ok(
+      !content.hasAttribute( 'hidden' ),
+      'Destroying the expandable should remove the hidden attribute'
+    );
+    delete prototype.onbeforematch;
+    expandable = new window.Expandable( element, {
+      hiddenUntilFound: true,
+      reduceMotion: true
+    } );
+    ok(
+      !content.hasAttribute( 'hidden' ) && content.style.display === 'none',
+      'Browsers without hidden="until-found" should hide the content'
+    );
+    beforematch( content );
+    ok(
+      !expandable.isExpanded,
+      'Browsers without hidden="until-found" should not listen to beforematch'
+    );
+    expandable.destroy();
+    if ( descriptor ) {
+      Object.defineProperty( prototype, 'onbeforematch', descriptor );
+    }
+  });
+
+  test( 'Verify filtering a group', function() {
+    expect( 7 );
+    var $group = this.$testSubjectTwentySix,
+        $input = $group.find('[data-expandable-filter]'),
+        $empty = $group.find('[data-expandable-filter-empty]'),
+        $a = $group.find('#test-subject-twenty-six-a'),
+        $b = $group.find('#test-subject-twenty-six-b'),
+        $c = $group.find('#test-subject-twenty-six-c');
+    function type( value ) {
+      var event = document.createEvent( 'Event' );
+      event.initEvent( 'input', true, false );
+      $input.val( value ).get( 0 ).dispatchEvent( event );
+    }
+    type( 'Days' );
+    ok(
+      !$a.prop( 'hidden' ) && !$b.prop( 'hidden' ) && $c.prop( 'hidden' ),
+      'Expandables not matching the filter should be hidden'
+    );
+    ok(
+      $a.expandable( 'isExpanded' ) && $b.expandable( 'isExpanded' ),
+      'Expandables whose content matches should be expanded'
+    );
+    ok(
+      $b.find('mark.expandable_highlight').text() === 'days',
+      'Matches in the content should be highlighted'
+    );
+    type( 'return' );
+    ok(
+      $a.prop( 'hidden' ) &&
+      $b.find('.expandable_label mark').text() === 'Return' &&
+      $b.find('.expandable_content mark').length === 1,
+      'Matches in labels should be highlighted, and old highlights removed'
+    );
+    type( 'zzz' );
+    ok(
+      $group.hasClass( 'expandable-group__no-results' ) &&
+      !$empty.prop( 'hidden' ),
+      'The no results state should be shown'
+    );
+    type( '' );
+    ok(
+      !$group.find('[hidden]').not( $empty ).length &&
+      !$group.find('mark').length && $empty.prop( 'hidden' ) &&
+      !$group.hasClass( 'expandable-group__no-results' ),
+      'Clearing the filter should show every expandable'
+    );
+    ok(
+      $a.expandable( 'isExpanded' ) && !$b.expandable( 'isExpanded' ) &&
+      !$c.expandable( 'isExpanded' ),
+      'Clearing the filter should restore the expanded states'
+    );
+  });
+
+  test( 'Verify destroying filtered expandables removes the filter', function() {
+    expect( 2 );
+    var group = window.Expandable.Group.getInstance( this.$testSubjectTwentySix[0] ),
+        $a = this.$testSubjectTwentySix.find('#test-subject-twenty-six-a'),
+        $c = this.$testSubjectTwentySix.find('#test-subject-twenty-six-c');
+    group.filter( 'shipping' );
+    $a.add( $c ).expandable( 'destroy' );
+    ok(
+      !$c.prop( 'hidden' ),
+      'Destroying a filtered out expandable should show it'
+    );
+    ok(
+      !$a.find('mark').length && $a.find('.expandable_label').text() === 'Shipping costs',
+      'Destroying an expandable should remove its highlights'
+    );
+    $a.add( $c ).expandable();
+    group.filter( '' );
+  });
+
+  test( 'Verify filtering an accordion expands every match', function() {
+    expect( 2 );
+    var $group = $( '<div class="expandable-group" data-accordion="true">' +
+          '<div class="expandable expandable__expanded">' +
+            '<button class="expandable_target">A</button>' +
+            '<div class="expandable_content">Apples</div></div>' +
+          '<div class="expandable">' +
+            '<button class="expandable_target">B</button>' +
+            '<div class="expandable_content">Pears</div></div>' +
+          '<div class="expandable">' +
+            '<button class="expandable_target">C</button>' +
+            '<div class="expandable_content">Pears</div></div>' +
+        '</div>' ).appendTo( document.body ),
+        $expandables = $group.find('.expandable'),
+        group;
+    window.Expandable.initAll( $group[0] );
+    group = window.Expandable.Group.getInstance( $group[0] );
+    group.filter( 'pears' );
+    ok(
+      $expandables.eq( 1 ).expandable( 'isExpanded' ) &&
+      $expandables.eq( 2 ).expandable( 'isExpanded' ),
+      'Every matching accordion item should be expanded'
+    );
+    group.filter( '' );
+    ok(
+      $expandables.eq( 0 ).expandable( 'isExpanded' ) &&
+      !$expandables.eq( 1 ).expandable( 'isExpanded' ) &&
+      !$expandables.eq( 2 ).expandable( 'isExpanded' ),
+      'Clearing the filter should restore the accordion'
+    );
+    $expandables.expandable( 'destroy' );
+    $group.remove();
+  });
+
+  test( 'Verify filtering leaves out the cues of targets without label', function() {
+    expect( 2 );
+    var $group = $( '<div class="expandable-group">' +
+          '<div class="expandable">' +
+            '<button class="expandable_target">Apples' +
+              '<span class="expandable_cue-open">Show</span>' +
+              '<span class="expandable_cue-close">Hide</span></button>' +
+            '<div class="expandable_content">Red</div></div>' +
+          '<div class="expandable">' +
+            '<button class="expandable_target">Pears' +
+              '<span class="expandable_cue-open">Show</span>' +
+              '<span class="expandable_cue-close">Hide</span></button>' +
+            '<div class="expandable_content">Green</div></div>' +
+        '</div>' ).appendTo( document.body ),
+        group;
+    window.Expandable.initAll( $group[0] );
+    group = window.Expandable.Group.getInstance( $group[0] );
+    ok(
+      group.filter( 'show' ).length === 0 &&
+      group.filter( 'hide' ).length === 0 &&
+      !$group.find('mark').length,
+      'The cues should not match or be highlighted'
+    );
+    ok(
+      group.filter( 'pears' ).length === 1 &&
+      $group.find('mark').text() === 'Pears',
+      'The rest of the target should match'
+    );
+    group.filter( '' );
+    $group.find('.expandable').expandable( 'destroy' );
+    $group.remove();
+  });
+
+  test( 'Verify filtering hides the wrappers of filtered out expandables', function() {
+    expect( 3 );
+    var $group = $( '<ul class="expandable-group">' +
+          '<li><div class="expandable">' +
+            '<button class="expandable_target">' +
+              '<span class="expandable_label">Apples</span></button>' +
+            '<div class="expandable_content">Red</div></div></li>' +
+          '<li><div class="expandable">' +
+            '<button class="expandable_target">' +
+              '<span class="expandable_label">Pears</span></button>' +
+            '<div class="expandable_content">Green</div></div></li>' +
+        '</ul>' ).appendTo( document.body ),
+        $items = $group.children('li'),
+        group;
+    window.Expandable.initAll( $group[0] );
+    group = window.Expandable.Group.getInstance( $group[0] );
+    group.filter( 'pears' );
+    ok(
+      $items.eq( 0 ).prop( 'hidden' ) && !$items.eq( 1 ).prop( 'hidden' ),
+      'The wrapper of a filtered out expandable should be hidden'
+    );
+    group.filter( '' );
+    ok(
+      !$items.eq( 0 ).prop( 'hidden' ),
+      'Clearing the filter should show the wrapper'
+    );
+    group.filter( 'pears' );
+    $items.eq( 0 ).find('.expandable').expandable( 'destroy' );
+    ok(
+      !$items.eq( 0 ).prop( 'hidden' ),
+      'Destroying a filtered out expandable should show its wrapper'
+    );
+    group.filter( '' );
+    $items.eq( 1 ).find('.expandable').expandable( 'destroy' );
+    $group.remove();
+  });
+
+  test( 'Verify collapsed content is shown while printing', function() {
+    expect( 4 );
+    var element = this.testSubjectTwentySevenA,
+        content = element.querySelector('.expandable_content'),
+        optOut = this.testSubjectTwentySevenB,
+        optOutContent = optOut.querySelector('.expandable_content'),
+        expandable,
+        optOutExpandable;
+    function print( type ) {
+      var event = document.createEvent( 'Event' );
+      event.initEvent( type, false, false );
+      window.dispatchEvent( event );
+    }
+    expandable = new window.Expandable( element );
+    optOutExpandable = new window.Expandable( optOut );
+    print( 'beforeprint' );
+    ok(
+      content.style.display !== 'none' && !expandable.isExpanded &&
+      expandable.target.getAttribute( 'aria-expanded' ) === 'false',
+      'Collapsed content should be shown without changing the state'
+    );
+    ok(
+      optOutContent.style.display === 'none',
+      'Expandables opting out should stay collapsed'
+    );
+    print( 'afterprint' );
+    ok(
+      content.style.display === 'none',
+      'The content should be hidden again after printing'
+    );
+    expandable.setPrinting( true );
+    expandable.expand( 0 );
+    expandable.setPrinting( false );
+    ok(
+      content.style.display !== 'none' && expandable.isExpanded,
+      'Expandables expanded while printing should stay expanded'
+    );
+    expandable.destroy();
+    optOutExpandable.destroy();
   });
 
 }( jQuery ));